@@ -0,0 +1,67 @@
+export const basePath = '/account';
+
+export const endpoints = {
+    details: {
+        type: 0,
+        path: '',
+        ttl: 0,
+    },
+
+    lists: {
+        type: 2,
+        path: '/{id}/lists',
+        ttl: 0,
+    },
+
+    favorite_movies: {
+        type: 2,
+        path: '/{id}/favorite/movies',
+        ttl: 0,
+    },
+
+    favorite_tv: {
+        type: 2,
+        path: '/{id}/favorite/tv',
+        ttl: 0,
+    },
+
+    favorite: {
+        type: 0,
+        path: '/{id}/favorite',
+    },
+
+    rated_movies: {
+        type: 2,
+        path: '/{id}/rated/movies',
+        ttl: 0,
+    },
+
+    rated_tv: {
+        type: 2,
+        path: '/{id}/rated/tv',
+        ttl: 0,
+    },
+
+    rated_tv_episodes: {
+        type: 2,
+        path: '/{id}/rated/tv/episodes',
+        ttl: 0,
+    },
+
+    watchlist_movies: {
+        type: 2,
+        path: '/{id}/watchlist/movies',
+        ttl: 0,
+    },
+
+    watchlist_tv: {
+        type: 2,
+        path: '/{id}/watchlist/tv',
+        ttl: 0,
+    },
+
+    watchlist: {
+        type: 0,
+        path: '/{id}/watchlist',
+    },
+};
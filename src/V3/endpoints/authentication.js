@@ -0,0 +1,30 @@
+export const basePath = '/authentication';
+
+export const endpoints = {
+    request_token: {
+        type: 0,
+        path: '/token/new',
+        ttl: 0,
+    },
+
+    validate_with_login: {
+        type: 0,
+        path: '/token/validate_with_login',
+    },
+
+    session: {
+        type: 0,
+        path: '/session/new',
+    },
+
+    delete_session: {
+        type: 0,
+        path: '/session',
+    },
+
+    guest_session: {
+        type: 0,
+        path: '/guest_session/new',
+        ttl: 0,
+    },
+};
@@ -0,0 +1,15 @@
+export const basePath = '/certification';
+
+export const endpoints = {
+    movie: {
+        type: 0,
+        path: '/movie/list',
+        ttl: 86400,
+    },
+
+    tv: {
+        type: 0,
+        path: '/tv/list',
+        ttl: 86400,
+    },
+};
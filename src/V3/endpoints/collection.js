@@ -0,0 +1,19 @@
+export const basePath = '/collection';
+
+export const endpoints = {
+    details: {
+        type: 0,
+        path: '/{id}',
+        ttl: 86400,
+    },
+
+    images: {
+        type: 0,
+        path: '/{id}/images',
+    },
+
+    translations: {
+        type: 0,
+        path: '/{id}/translations',
+    },
+};
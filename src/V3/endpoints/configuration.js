@@ -0,0 +1,39 @@
+export const basePath = '/configuration';
+
+export const endpoints = {
+    api: {
+        type: 0,
+        path: '',
+        ttl: 86400,
+    },
+
+    countries: {
+        type: 0,
+        path: '/countries',
+        ttl: 86400,
+    },
+
+    jobs: {
+        type: 0,
+        path: '/jobs',
+        ttl: 86400,
+    },
+
+    languages: {
+        type: 0,
+        path: '/languages',
+        ttl: 86400,
+    },
+
+    primary_translations: {
+        type: 0,
+        path: '/primary_translations',
+        ttl: 86400,
+    },
+
+    timezones: {
+        type: 0,
+        path: '/timezones',
+        ttl: 86400,
+    },
+};
@@ -0,0 +1,103 @@
+export const basePath = '/discover';
+
+export const endpoints = {
+    movie: {
+        type: 2,
+        path: '/movie',
+
+        options: [
+            'language',
+            'region',
+            'sort_by',
+            'certification_country',
+            'certification',
+            'certification.lte',
+            'certification.gte',
+            'include_adult',
+            'include_video',
+            'page',
+            'primary_release_year',
+            'primary_release_date.gte',
+            'primary_release_date.lte',
+            'release_date.gte',
+            'release_date.lte',
+            'with_release_type',
+            'year',
+            'vote_count.gte',
+            'vote_count.lte',
+            'vote_average.gte',
+            'vote_average.lte',
+            'with_cast',
+            'with_crew',
+            'with_people',
+            'with_companies',
+            'without_companies',
+            'with_genres',
+            'without_genres',
+            'with_keywords',
+            'without_keywords',
+            'with_runtime.gte',
+            'with_runtime.lte',
+            'with_original_language',
+            'with_watch_providers',
+            'watch_region',
+            'with_watch_monetization_types',
+        ],
+
+        sort_by: [
+            'popularity',
+            'release_date',
+            'revenue',
+            'primary_release_date',
+            'original_title',
+            'vote_average',
+            'vote_count',
+        ],
+
+        dates: { gte: 'primary_release_date.gte', lte: 'primary_release_date.lte' },
+        year: 'primary_release_year',
+    },
+
+    tv: {
+        type: 2,
+        path: '/tv',
+
+        options: [
+            'language',
+            'sort_by',
+            'air_date.gte',
+            'air_date.lte',
+            'first_air_date.gte',
+            'first_air_date.lte',
+            'first_air_date_year',
+            'page',
+            'timezone',
+            'vote_average.gte',
+            'vote_average.lte',
+            'vote_count.gte',
+            'vote_count.lte',
+            'with_networks',
+            'with_companies',
+            'without_companies',
+            'with_genres',
+            'without_genres',
+            'with_keywords',
+            'without_keywords',
+            'with_runtime.gte',
+            'with_runtime.lte',
+            'include_null_first_air_dates',
+            'with_original_language',
+            'screened_theatrically',
+            'with_status',
+            'with_type',
+            'with_watch_providers',
+            'watch_region',
+            'with_watch_monetization_types',
+        ],
+
+        sort_by: ['popularity', 'first_air_date', 'vote_average'],
+
+        dates: { gte: 'first_air_date.gte', lte: 'first_air_date.lte' },
+        year: 'first_air_date_year',
+    },
+};
@@ -0,0 +1,60 @@
+export const basePath = '/tv';
+
+export const endpoints = {
+    details: {
+        type: 1,
+        path: '/{id}/season/{season}/episode/{episode}',
+        ttl: 86400,
+    },
+
+    account_states: {
+        type: 0,
+        path: '/{id}/season/{season}/episode/{episode}/account_states',
+        ttl: 0,
+    },
+
+    credits: {
+        type: 3,
+        path: '/{id}/season/{season}/episode/{episode}/credits',
+        ttl: 86400,
+
+        mutate: (mutate, data, options) => ({
+            ...data,
+
+            cast: mutate(data.cast, options),
+            crew: mutate(data.crew, options),
+            guest_stars: mutate(data.guest_stars, options),
+        }),
+    },
+
+    external_ids: {
+        type: 0,
+        path: '/{id}/season/{season}/episode/{episode}/external_ids',
+    },
+
+    images: {
+        type: 0,
+        path: '/{id}/season/{season}/episode/{episode}/images',
+    },
+
+    translations: {
+        type: 0,
+        path: '/{id}/season/{season}/episode/{episode}/translations',
+    },
+
+    videos: {
+        type: 3,
+        path: '/{id}/season/{season}/episode/{episode}/videos',
+
+        mutate: (mutate, data, options) => ({
+            ...data,
+
+            results: mutate(data.results, options),
+        }),
+    },
+
+    rating: {
+        type: 0,
+        path: '/{id}/season/{season}/episode/{episode}/rating',
+    },
+};
@@ -0,0 +1,14 @@
+export const basePath = '/keyword';
+
+export const endpoints = {
+    details: {
+        type: 0,
+        path: '/{id}',
+        ttl: 86400,
+    },
+
+    movies: {
+        type: 2,
+        path: '/{id}/movies',
+    },
+};
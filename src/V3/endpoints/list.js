@@ -0,0 +1,46 @@
+export const basePath = '/list';
+
+export const endpoints = {
+    details: {
+        type: 3,
+        path: '/{id}',
+        ttl: 0,
+
+        mutate: (mutate, data, options) => ({
+            ...data,
+
+            items: mutate(data.items, options),
+        }),
+    },
+
+    item_status: {
+        type: 0,
+        path: '/{id}/item_status',
+        ttl: 0,
+    },
+
+    create: {
+        type: 0,
+        path: '',
+    },
+
+    add_item: {
+        type: 0,
+        path: '/{id}/add_item',
+    },
+
+    remove_item: {
+        type: 0,
+        path: '/{id}/remove_item',
+    },
+
+    clear: {
+        type: 0,
+        path: '/{id}/clear',
+    },
+
+    delete: {
+        type: 0,
+        path: '/{id}',
+    },
+};
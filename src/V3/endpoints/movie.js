@@ -5,6 +5,7 @@ export const endpoints = {
         details: {
             type: 1,
             path: '/{id}',
+            ttl: 86400,
         },
 
         alternative_titles: {
@@ -20,6 +21,7 @@ export const endpoints = {
         credits: {
             type: 3,
             path: '/{id}/credits',
+            ttl: 86400,
 
             mutate: (mutate, data, options) => ({
                 ...data,
@@ -93,6 +95,13 @@ export const endpoints = {
         account_states: {
             type: 0,
             path: '/{id}/account_states',
+            ttl: 0,
+        },
+
+        watch_providers: {
+            type: 0,
+            path: '/{id}/watch/providers',
+            append: 'watch/providers',
         },
     },
 
@@ -100,6 +109,7 @@ export const endpoints = {
         latest: {
             type: 0,
             path: '/latest',
+            ttl: 60,
         },
 
         now_playing: {
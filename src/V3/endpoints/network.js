@@ -0,0 +1,19 @@
+export const basePath = '/network';
+
+export const endpoints = {
+    details: {
+        type: 0,
+        path: '/{id}',
+        ttl: 86400,
+    },
+
+    alternative_names: {
+        type: 0,
+        path: '/{id}/alternative_names',
+    },
+
+    images: {
+        type: 0,
+        path: '/{id}/images',
+    },
+};
@@ -5,6 +5,7 @@ export const endpoints = {
         details: {
             type: 1,
             path: '/{id}',
+            ttl: 86400,
         },
 
         changes: {
@@ -73,6 +74,7 @@ export const endpoints = {
         latest: {
             type: 0,
             path: '/latest',
+            ttl: 60,
         },
 
         popular: {
@@ -0,0 +1,49 @@
+export const basePath = '/tv';
+
+export const endpoints = {
+    details: {
+        type: 1,
+        path: '/{id}/season/{season}',
+        ttl: 86400,
+    },
+
+    account_states: {
+        type: 0,
+        path: '/{id}/season/{season}/account_states',
+        ttl: 0,
+    },
+
+    credits: {
+        type: 3,
+        path: '/{id}/season/{season}/credits',
+        ttl: 86400,
+
+        mutate: (mutate, data, options) => ({
+            ...data,
+
+            cast: mutate(data.cast, options),
+            crew: mutate(data.crew, options),
+        }),
+    },
+
+    external_ids: {
+        type: 0,
+        path: '/{id}/season/{season}/external_ids',
+    },
+
+    images: {
+        type: 0,
+        path: '/{id}/season/{season}/images',
+    },
+
+    videos: {
+        type: 3,
+        path: '/{id}/season/{season}/videos',
+
+        mutate: (mutate, data, options) => ({
+            ...data,
+
+            results: mutate(data.results, options),
+        }),
+    },
+};
@@ -0,0 +1,23 @@
+export const basePath = '/trending';
+
+export const endpoints = {
+    all: {
+        type: 2,
+        path: '/all/{timeWindow}',
+    },
+
+    movie: {
+        type: 2,
+        path: '/movie/{timeWindow}',
+    },
+
+    tv: {
+        type: 2,
+        path: '/tv/{timeWindow}',
+    },
+
+    person: {
+        type: 2,
+        path: '/person/{timeWindow}',
+    },
+};
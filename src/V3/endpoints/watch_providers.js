@@ -0,0 +1,21 @@
+export const basePath = '/watch/providers';
+
+export const endpoints = {
+    regions: {
+        type: 0,
+        path: '/regions',
+        ttl: 86400,
+    },
+
+    movie: {
+        type: 0,
+        path: '/movie',
+        ttl: 86400,
+    },
+
+    tv: {
+        type: 0,
+        path: '/tv',
+        ttl: 86400,
+    },
+};
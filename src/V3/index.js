@@ -1,11 +1,27 @@
-import ResponseError from './structures/ResponseError';
+import { ValidationError } from './structures/ResponseError';
+import MemoryCache from './structures/MemoryCache';
+import AxiosTransport from './structures/AxiosTransport';
+import RequestScheduler from './structures/RequestScheduler';
 
 import Find from './resources/Find';
 import Search from './resources/Search';
+import { Discover } from './resources/Discover';
+import Trending from './resources/Trending';
+import Configuration from './resources/Configuration';
+import Authentication from './resources/Authentication';
+import Account from './resources/Account';
+import Genres from './resources/Genres';
+import Certifications from './resources/Certifications';
+import WatchProviders from './resources/WatchProviders';
 
 import { Movie, MovieMore } from './resources/Movie';
 import { TV, TVMore } from './resources/TV';
 import { Person, PersonMore } from './resources/Person';
+import Collection from './resources/Collection';
+import Company from './resources/Company';
+import Network from './resources/Network';
+import Keyword from './resources/Keyword';
+import List from './resources/List';
 
 /**
  * TMDb API version 3.
@@ -29,8 +45,30 @@ export default class V3 {
      * @param {number} [wrapperOptions.results_per_page] Results per page
      * @param {boolean} [wrapperOptions.always_use_results] Return simple lists as results structure
      * @param {boolean} [wrapperOptions.custom_id] Use "t" as TMDb ID prefix for external ID method?
+     * @param {Object} [wrapperOptions.cache] Response cache with get, set and delete methods (null disables caching)
+     * @param {number} [wrapperOptions.cache_ttl] Default cache time to live in seconds
+     * @param {number} [wrapperOptions.cache_index_size] Cached keys tracked for invalidation (at least the cache size)
+     * @param {Object} [wrapperOptions.rate_limit] Rate limit options (null disables rate limiting)
+     * @param {number} [wrapperOptions.rate_limit.requests] Requests allowed per interval
+     * @param {number} [wrapperOptions.rate_limit.interval] Interval in milliseconds
+     * @param {number} [wrapperOptions.rate_limit.concurrency] Maximum number of active requests
+     * @param {Object} [wrapperOptions.retry] Retry options (null disables retries)
+     * @param {number} [wrapperOptions.retry.retries] Maximum number of retries
+     * @param {number} [wrapperOptions.retry.delay] Base backoff delay in milliseconds
+     * @param {number} [wrapperOptions.retry.max_delay] Maximum backoff delay in milliseconds
+     * @param {RequestScheduler} [wrapperOptions.scheduler] Request scheduler shared by all resources
+     * @param {Object} [wrapperOptions.transport] Transport sending the requests (defaults to axios)
+     * @param {string} [wrapperOptions.base_url] API base URL
      * @param {Find} find Find resource
      * @param {Search} search Search resource
+     * @param {Discover} discover Discover resource
+     * @param {Trending} trending Trending resource
+     * @param {Configuration} configuration Configuration resource
+     * @param {Authentication} authentication Authentication resource
+     * @param {Account} account Account resource (requires a session ID)
+     * @param {Genres} genres Genres resource
+     * @param {Certifications} certifications Certifications resource
+     * @param {WatchProviders} watchProviders WatchProviders resource
      * @param {Movie} movie Movie resource
      * @param {TV} tv TV resource
      * @param {Person} person Person resource
@@ -53,44 +91,237 @@ export default class V3 {
             results_per_page: 20,
             always_use_results: false,
             custom_id: false,
+            cache: new MemoryCache(),
+            cache_ttl: 3600,
+            cache_index_size: 1000,
+            rate_limit: {},
+            retry: {},
+            transport: new AxiosTransport(),
+            base_url: 'https://api.themoviedb.org/',
 
             ...wrapperOptions,
         };
 
-        if (!apiOptions.api_key) throw Error('API key required.');
+        if (!this.wrapperOptions.scheduler) {
+            const { rate_limit: rateLimit, retry } = this.wrapperOptions;
+
+            this.wrapperOptions.scheduler = new RequestScheduler(rateLimit, retry);
+        }
+
+        if (!apiOptions.api_key) throw new ValidationError('API key required.');
 
         this.find = new Find(this.version, this.apiOptions, this.wrapperOptions);
         this.search = new Search(this.version, this.apiOptions, this.wrapperOptions);
+        this.discover = new Discover(this.version, this.apiOptions, this.wrapperOptions);
+        this.trending = new Trending(this.version, this.apiOptions, this.wrapperOptions);
+        this.configuration = new Configuration(this.version, this.apiOptions, this.wrapperOptions);
+        this.authentication = new Authentication(
+            this.version,
+            this.apiOptions,
+            this.wrapperOptions
+        );
+        this.account = new Account(this.version, this.apiOptions, this.wrapperOptions);
+        this.genres = new Genres(this.version, this.apiOptions, this.wrapperOptions);
+        this.certifications = new Certifications(
+            this.version,
+            this.apiOptions,
+            this.wrapperOptions
+        );
+        this.watchProviders = new WatchProviders(
+            this.version,
+            this.apiOptions,
+            this.wrapperOptions
+        );
 
         this.movie = new MovieMore(this.version, this.apiOptions, this.wrapperOptions);
         this.tv = new TVMore(this.version, this.apiOptions, this.wrapperOptions);
         this.person = new PersonMore(this.version, this.apiOptions, this.wrapperOptions);
     }
 
+    /**
+     * Creates a client with other API options and wrapper options. The client shares the cache and
+     * request scheduler unless they are overridden. A new request scheduler is created if the rate
+     * limit or retry options are overridden.
+     *
+     * @example
+     * const client = tmdb.withOptions({ language: 'de' }, { results_per_page: 5 });
+     *
+     * @param {Object} [apiOptions] API options overriding the API options of the client
+     * @param {Object} [wrapperOptions] Wrapper options overriding the wrapper options of the client
+     * @returns {V3}
+     */
+    withOptions(apiOptions, wrapperOptions = {}) {
+        const { scheduler, ...parentWrapperOptions } = this.wrapperOptions;
+        const hasSchedulerOptions = 'rate_limit' in wrapperOptions || 'retry' in wrapperOptions;
+
+        return new V3(
+            { ...this.apiOptions, ...apiOptions },
+            {
+                ...(hasSchedulerOptions ? parentWrapperOptions : this.wrapperOptions),
+                ...wrapperOptions,
+            }
+        );
+    }
+
+    /**
+     * Creates a client bound to a session. The client shares the cache and request scheduler.
+     *
+     * @param {string} sessionId Session ID
+     * @returns {V3}
+     */
+    withSession(sessionId) {
+        return this.withOptions({ session_id: sessionId, guest_session_id: null });
+    }
+
+    /**
+     * Creates a client bound to a guest session. The client shares the cache and request scheduler.
+     *
+     * @param {string} guestSessionId Guest session ID
+     * @returns {V3}
+     */
+    withGuestSession(guestSessionId) {
+        return this.withOptions({ session_id: null, guest_session_id: guestSessionId });
+    }
+
+    /**
+     * Creates a session from a request token approved by a user and a client bound to it.
+     *
+     * @param {string} requestToken Approved request token
+     * @returns {Promise<V3>}
+     */
+    async createSessionClient(requestToken) {
+        try {
+            const { session_id: sessionId } = await this.authentication.createSession({
+                request_token: requestToken,
+            });
+
+            return this.withSession(sessionId);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Creates a guest session and a client bound to it.
+     *
+     * @returns {Promise<V3>}
+     */
+    async createGuestSessionClient() {
+        try {
+            const {
+                guest_session_id: guestSessionId,
+            } = await this.authentication.createGuestSession();
+
+            return this.withGuestSession(guestSessionId);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
     /**
      * Gets the TMDb ID using a method.
      *
      * @param {Object} method Method
      * @param {string} type Media type
      * @param {Object} options API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request (e.g. custom_id)
      * @returns {Promise<number>}
      */
-    async _getIdFromMethod(method, type, options) {
+    async _getIdFromMethod(method, type, options, wrapperOptions) {
         if (method.id) return method.id;
 
         try {
             if (method.externalId) {
-                return await this.find._getIdFromExternalSource(method.externalId, type);
+                const find = this.find._withWrapperOptions(wrapperOptions);
+
+                return await find._getIdFromExternalSource(method.externalId, type);
             }
         } catch (error) {
-            if (!method.query) return error;
+            if (!method.query) return Promise.reject(error);
         }
 
         if (method.query) {
-            return this.search._getIdFromQuery(method.query, type, options);
+            return this.search._getIdFromQuery(method.query, type, options, wrapperOptions);
         }
 
-        return Promise.reject(new ResponseError('Method required.'));
+        return Promise.reject(new ValidationError('Method required.'));
+    }
+
+    /**
+     * Gets the candidates using a method. Methods with a TMDb ID or external ID have one candidate.
+     *
+     * @param {Object} method Method
+     * @param {string} type Media type
+     * @param {Object} options API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Confidence (0 to 1) of the first candidate and candidate summaries
+     */
+    async _getCandidatesFromMethod(method, type, options, wrapperOptions) {
+        try {
+            // Custom IDs (e.g. "t550") are TMDb IDs and skip the find request
+            const find = this.find._withWrapperOptions(wrapperOptions);
+            const isCustom =
+                !method.id &&
+                method.externalId &&
+                find._wrapperOptions.custom_id &&
+                String(method.externalId).match(find._customId);
+
+            const id = method.id || (isCustom && isCustom[1]);
+
+            if (id) {
+                const resource = this.selectCandidate({
+                    id,
+                    media_type: this.search._mediaTypes[type],
+                });
+
+                const details = await resource.getDetails(options, wrapperOptions);
+
+                return { confidence: 1, candidates: [this.search._getSummary(details, type)] };
+            }
+
+            if (method.externalId) {
+                try {
+                    const result = await find._getResultFromExternalSource(method.externalId, type);
+
+                    return { confidence: 1, candidates: [this.search._getSummary(result, type)] };
+                } catch (error) {
+                    if (!method.query) return Promise.reject(error);
+                }
+            }
+
+            if (method.query) {
+                return await this.search.getCandidates(method.query, type, options, wrapperOptions);
+            }
+
+            return Promise.reject(new ValidationError('Method required.'));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the endpoints for a candidate returned by a candidates method.
+     *
+     * @param {Object} candidate Candidate
+     * @param {number} candidate.id TMDb ID
+     * @param {string} candidate.media_type Media type (movie, tv, person or collection)
+     * @returns {Movie|TV|Person|Collection}
+     */
+    selectCandidate(candidate = {}) {
+        if (!candidate.id) throw new ValidationError('Candidate ID required.');
+
+        switch (candidate.media_type) {
+            case 'movie':
+                return this.getMovie(candidate.id);
+            case 'tv':
+                return this.getTVShow(candidate.id);
+            case 'person':
+                return this.getPerson(candidate.id);
+            case 'collection':
+                return this.getCollection(candidate.id);
+            default:
+                throw new ValidationError('Invalid media type.');
+        }
     }
 
     /**
@@ -111,11 +342,17 @@ export default class V3 {
      * @param {string} [method.externalId] External ID
      * @param {string} [method.query] Query
      * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Movie>}
      */
-    async getMovieFromMethod(method, options) {
+    async getMovieFromMethod(method, options, wrapperOptions) {
         try {
-            const id = await this._getIdFromMethod(method, 'movie_results', options);
+            const id = await this._getIdFromMethod(
+                method,
+                'movie_results',
+                options,
+                wrapperOptions
+            );
 
             return this.getMovie(id);
         } catch (error) {
@@ -123,6 +360,22 @@ export default class V3 {
         }
     }
 
+    /**
+     * Gets the movie candidates using a method, ranked by title similarity, popularity and vote
+     * count. Select a candidate with selectCandidate.
+     *
+     * @param {Object} method Method
+     * @param {number} [method.id] TMDb ID
+     * @param {string} [method.externalId] External ID
+     * @param {string} [method.query] Query
+     * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Confidence (0 to 1) of the first candidate and candidate summaries
+     */
+    async getMovieCandidatesFromMethod(method, options, wrapperOptions) {
+        return this._getCandidatesFromMethod(method, 'movie_results', options, wrapperOptions);
+    }
+
     /**
      * Gets the endpoints for a TV show using it's TMDb ID.
      *
@@ -141,11 +394,12 @@ export default class V3 {
      * @param {string} [method.externalId] External ID
      * @param {string} [method.query] Query
      * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<TV>}
      */
-    async getTVShowFromMethod(method, options) {
+    async getTVShowFromMethod(method, options, wrapperOptions) {
         try {
-            const id = await this._getIdFromMethod(method, 'tv_results', options);
+            const id = await this._getIdFromMethod(method, 'tv_results', options, wrapperOptions);
 
             return this.getTVShow(id);
         } catch (error) {
@@ -153,6 +407,61 @@ export default class V3 {
         }
     }
 
+    /**
+     * Gets the TV show candidates using a method, ranked by title similarity, popularity and vote
+     * count. Select a candidate with selectCandidate.
+     *
+     * @param {Object} method Method
+     * @param {number} [method.id] TMDb ID
+     * @param {string} [method.externalId] External ID
+     * @param {string} [method.query] Query
+     * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Confidence (0 to 1) of the first candidate and candidate summaries
+     */
+    async getTVShowCandidatesFromMethod(method, options, wrapperOptions) {
+        return this._getCandidatesFromMethod(method, 'tv_results', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the endpoints for a TV season using an external ID (e.g. "tvdb:12345").
+     *
+     * @param {string} externalId External ID
+     * @returns {Promise<Season>}
+     */
+    async getSeasonFromExternalId(externalId) {
+        try {
+            const {
+                show_id: showId,
+                season_number: seasonNumber,
+            } = await this.find._getResultFromExternalSource(externalId, 'tv_season_results');
+
+            return this.getTVShow(showId).getSeason(seasonNumber);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the endpoints for a TV episode using an external ID (e.g. "tt0959621" or "tvdb:349232").
+     *
+     * @param {string} externalId External ID
+     * @returns {Promise<Episode>}
+     */
+    async getEpisodeFromExternalId(externalId) {
+        try {
+            const {
+                show_id: showId,
+                season_number: seasonNumber,
+                episode_number: episodeNumber,
+            } = await this.find._getResultFromExternalSource(externalId, 'tv_episode_results');
+
+            return this.getTVShow(showId).getEpisode(seasonNumber, episodeNumber);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
     /**
      * Gets the endpoints for a person using it's TMDb ID.
      *
@@ -171,15 +480,134 @@ export default class V3 {
      * @param {string} [method.externalId] External ID
      * @param {string} [method.query] Query
      * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Person>}
      */
-    async getPersonFromMethod(method, options) {
+    async getPersonFromMethod(method, options, wrapperOptions) {
         try {
-            const id = await this._getIdFromMethod(method, 'person_results', options);
+            const id = await this._getIdFromMethod(
+                method,
+                'person_results',
+                options,
+                wrapperOptions
+            );
 
             return this.getPerson(id);
         } catch (error) {
             return Promise.reject(error);
         }
     }
+
+    /**
+     * Gets the person candidates using a method, ranked by title similarity, popularity and vote
+     * count. Select a candidate with selectCandidate.
+     *
+     * @param {Object} method Method
+     * @param {number} [method.id] TMDb ID
+     * @param {string} [method.externalId] External ID
+     * @param {string} [method.query] Query
+     * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Confidence (0 to 1) of the first candidate and candidate summaries
+     */
+    async getPersonCandidatesFromMethod(method, options, wrapperOptions) {
+        return this._getCandidatesFromMethod(method, 'person_results', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the endpoints for a collection using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {Collection}
+     */
+    getCollection(id) {
+        return new Collection(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Gets the endpoints for a collection using a method.
+     *
+     * @param {Object} method Method
+     * @param {number} [method.id] TMDb ID
+     * @param {string} [method.query] Query
+     * @param {Object} [options] API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Collection>}
+     */
+    async getCollectionFromMethod(method, options, wrapperOptions) {
+        try {
+            const id = await this._getIdFromMethod(
+                method,
+                'collection_results',
+                options,
+                wrapperOptions
+            );
+
+            return this.getCollection(id);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the endpoints for a company using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {Company}
+     */
+    getCompany(id) {
+        return new Company(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Gets the endpoints for a TV network using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {Network}
+     */
+    getNetwork(id) {
+        return new Network(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Gets the endpoints for a keyword using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {Keyword}
+     */
+    getKeyword(id) {
+        return new Keyword(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Gets the endpoints for a list using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {List}
+     */
+    getList(id) {
+        return new List(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Creates a list owned by the session user.
+     *
+     * @param {Object} content Request content
+     * @param {string} content.name List name
+     * @param {string} [content.description] List description
+     * @param {string} [content.language] ISO 639-1 value of the list language
+     * @param {Object} [options] Request options
+     * @returns {Promise<List>}
+     */
+    async createList(content, options) {
+        const list = new List(this.version, this.apiOptions, this.wrapperOptions);
+
+        try {
+            await list.create(content, options);
+
+            return list;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
 }
@@ -0,0 +1,254 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/account';
+
+/**
+ * Endpoints for the Account resource. Requires a session ID. The account ID is requested from the
+ * account details of each session if not set.
+ * @see https://developers.themoviedb.org/3/account
+ *
+ * @extends {Resource}
+ */
+export default class Account extends Resource {
+    /**
+     * Creates an instance of Account.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} [id] Account ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+
+        this._mediaTypes = ['movie', 'tv'];
+    }
+
+    /**
+     * Gets the account ID of the session. The ID is requested once per session ID.
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID (defaults to the session of the client)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<number>}
+     */
+    async _getAccountId(options = {}, wrapperOptions) {
+        if (this._params.id) return this._params.id;
+
+        const sessionId = options.session_id || this._apiOptions.session_id;
+
+        return this._memoize(`account_id:${sessionId}`, async () => {
+            const { id } = await this.getDetails(
+                sessionId ? { session_id: sessionId } : {},
+                wrapperOptions
+            );
+
+            return id;
+        });
+    }
+
+    /**
+     * Gets an endpoint of the account.
+     *
+     * @param {string} endpointName Endpoint name
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async _getAccountEndpoint(endpointName, options, wrapperOptions) {
+        try {
+            const id = await this._getAccountId(options, wrapperOptions);
+
+            return this.getEndpoint(endpointName, options, { id }, wrapperOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Updates an endpoint of the account for a movie or TV show.
+     *
+     * @param {string} endpointName Endpoint name
+     * @param {Object} content Request content
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async _updateAccountEndpoint(endpointName, content = {}, options) {
+        if (!this._mediaTypes.includes(content.media_type)) {
+            return Promise.reject(new ValidationError('Invalid media type.'));
+        }
+
+        if (!content.media_id) return Promise.reject(new ValidationError('Media ID required.'));
+
+        try {
+            const id = await this._getAccountId(options);
+
+            return this.updateEndpoint('POST', endpointName, options, content, { id });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the primary information about the account.
+     * @see https://developers.themoviedb.org/3/account/get-account-details
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets all of the lists created by the account.
+     * @see https://developers.themoviedb.org/3/account/get-created-lists
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCreatedLists(options, wrapperOptions) {
+        return this._getAccountEndpoint('lists', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the favorite movies of the account.
+     * @see https://developers.themoviedb.org/3/account/get-favorite-movies
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getFavoriteMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('favorite_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the favorite TV shows of the account.
+     * @see https://developers.themoviedb.org/3/account/get-favorite-tv-shows
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getFavoriteTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('favorite_tv', options, wrapperOptions);
+    }
+
+    /**
+     * Marks a movie or TV show as a favorite.
+     * @see https://developers.themoviedb.org/3/account/mark-as-favorite
+     *
+     * @param {Object} content Request content
+     * @param {string} content.media_type Media type (movie or tv)
+     * @param {number} content.media_id TMDb ID
+     * @param {boolean} [content.favorite] Add (true, default) or remove (false) the favorite
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async markAsFavorite(content, options) {
+        return this._updateAccountEndpoint('favorite', { favorite: true, ...content }, options);
+    }
+
+    /**
+     * Gets the rated movies of the account.
+     * @see https://developers.themoviedb.org/3/account/get-rated-movies
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRatedMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('rated_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the rated TV shows of the account.
+     * @see https://developers.themoviedb.org/3/account/get-rated-tv-shows
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRatedTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('rated_tv', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the rated TV episodes of the account.
+     * @see https://developers.themoviedb.org/3/account/get-rated-tv-episodes
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRatedTVEpisodes(options, wrapperOptions) {
+        return this._getAccountEndpoint('rated_tv_episodes', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the movie watchlist of the account.
+     * @see https://developers.themoviedb.org/3/account/get-movie-watchlist
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getWatchlistMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('watchlist_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the TV show watchlist of the account.
+     * @see https://developers.themoviedb.org/3/account/get-tv-show-watchlist
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results by created date (created_at.asc or created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getWatchlistTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('watchlist_tv', options, wrapperOptions);
+    }
+
+    /**
+     * Adds a movie or TV show to the watchlist.
+     * @see https://developers.themoviedb.org/3/account/add-to-watchlist
+     *
+     * @param {Object} content Request content
+     * @param {string} content.media_type Media type (movie or tv)
+     * @param {number} content.media_id TMDb ID
+     * @param {boolean} [content.watchlist] Add (true, default) or remove (false) the watchlist item
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async addToWatchlist(content, options) {
+        return this._updateAccountEndpoint('watchlist', { watchlist: true, ...content }, options);
+    }
+}
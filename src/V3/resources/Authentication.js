@@ -0,0 +1,129 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/authentication';
+
+/**
+ * Endpoints for the Authentication resource.
+ * @see https://developers.themoviedb.org/3/authentication
+ *
+ * @extends {Resource}
+ */
+export default class Authentication extends Resource {
+    /**
+     * Creates an instance of Authentication.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+
+        this._authenticateUrl = 'https://www.themoviedb.org/authenticate/';
+    }
+
+    /**
+     * Gets the URL where a user approves a request token.
+     *
+     * @param {string} requestToken Request token
+     * @param {string} [redirectTo] URL to redirect to after the approval
+     * @returns {string}
+     */
+    getAuthenticationUrl(requestToken, redirectTo) {
+        const url = this._authenticateUrl + requestToken;
+
+        return redirectTo ? `${url}?redirect_to=${encodeURIComponent(redirectTo)}` : url;
+    }
+
+    /**
+     * Creates a temporary request token. The token is valid for 60 minutes.
+     * @see https://developers.themoviedb.org/3/authentication/create-request-token
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async createRequestToken(options, wrapperOptions) {
+        return this.getEndpoint('request_token', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Validates a request token with a TMDb username and password.
+     * @see https://developers.themoviedb.org/3/authentication/validate-request-token
+     *
+     * @param {Object} content Request content
+     * @param {string} content.username TMDb username
+     * @param {string} content.password TMDb password
+     * @param {string} content.request_token Request token
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async validateWithLogin(content, options) {
+        return this.updateEndpoint('POST', 'validate_with_login', options, content);
+    }
+
+    /**
+     * Creates a session ID from a request token approved by a user.
+     * @see https://developers.themoviedb.org/3/authentication/create-session
+     *
+     * @param {Object} content Request content
+     * @param {string} content.request_token Approved request token
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async createSession(content, options) {
+        return this.updateEndpoint('POST', 'session', options, content);
+    }
+
+    /**
+     * Creates a session ID with a TMDb username and password.
+     *
+     * Creates a request token, validates it with the login and creates a session from it.
+     *
+     * @param {Object} content Request content
+     * @param {string} content.username TMDb username
+     * @param {string} content.password TMDb password
+     * @returns {Promise<Object>}
+     */
+    async createSessionWithLogin({ username, password } = {}) {
+        if (!username || !password) {
+            return Promise.reject(new ValidationError('Username and password required.'));
+        }
+
+        try {
+            const { request_token: requestToken } = await this.createRequestToken();
+
+            await this.validateWithLogin({ username, password, request_token: requestToken });
+
+            return this.createSession({ request_token: requestToken });
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Deletes (logs out of) a session.
+     * @see https://developers.themoviedb.org/3/authentication/delete-session
+     *
+     * @param {Object} content Request content
+     * @param {string} content.session_id Session ID
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async deleteSession(content, options) {
+        return this.updateEndpoint('DELETE', 'delete_session', options, content);
+    }
+
+    /**
+     * Creates a guest session ID. Guest sessions can rate without a TMDb account.
+     * @see https://developers.themoviedb.org/3/authentication/create-guest-session
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async createGuestSession(options, wrapperOptions) {
+        return this.getEndpoint('guest_session', options, {}, wrapperOptions);
+    }
+}
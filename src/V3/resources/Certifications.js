@@ -0,0 +1,175 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/certification';
+
+/**
+ * Endpoints for the Certifications resource.
+ * @see https://developers.themoviedb.org/3/certifications
+ *
+ * @extends {Resource}
+ */
+export default class Certifications extends Resource {
+    /**
+     * Creates an instance of Certifications.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+    }
+
+    /**
+     * Loads the certifications of a media type once.
+     *
+     * @param {string} type Media type (movie or tv)
+     * @returns {Promise<Object>} Certifications by ISO 3166-1 value
+     */
+    async _loadCertifications(type) {
+        if (!this._endpoints[type]) {
+            return Promise.reject(new ValidationError('Invalid media type.'));
+        }
+
+        return this._memoize(`certifications:${type}`, async () => {
+            const { certifications } = await this.getEndpoint(type);
+
+            return certifications;
+        });
+    }
+
+    /**
+     * Finds a certification in the certifications of a country.
+     *
+     * @param {Object} certifications Certifications by ISO 3166-1 value
+     * @param {string} country ISO 3166-1 value
+     * @param {string} certification Certification
+     * @returns {Object} Certification or undefined
+     */
+    _findCertification(certifications, country, certification) {
+        const list = certifications[country] || [];
+
+        return list.find((item) => item.certification === certification);
+    }
+
+    /**
+     * Adds certification meanings to the data. Mutates the data.
+     *
+     * Movie release dates get a "meaning" next to each "certification" value. TV show content
+     * ratings get a "meaning" next to each "rating" value.
+     *
+     * @param {Object} movieCertifications Movie certifications by ISO 3166-1 value
+     * @param {Object} tvCertifications TV show certifications by ISO 3166-1 value
+     * @param {*} data Response data
+     * @returns {*}
+     */
+    _addMeanings(movieCertifications, tvCertifications, data) {
+        if (Array.isArray(data)) {
+            for (let i = 0; i < data.length; i += 1) {
+                this._addMeanings(movieCertifications, tvCertifications, data[i]);
+            }
+
+            return data;
+        }
+
+        if (!data || typeof data !== 'object') return data;
+
+        const country = data.iso_3166_1;
+
+        if (country && Array.isArray(data.release_dates)) {
+            data.release_dates.forEach((releaseDate) => {
+                const item = this._findCertification(
+                    movieCertifications,
+                    country,
+                    releaseDate.certification
+                );
+
+                releaseDate.meaning = item ? item.meaning : null;
+            });
+
+            return data;
+        }
+
+        if (country && typeof data.rating === 'string') {
+            const item = this._findCertification(tvCertifications, country, data.rating);
+
+            data.meaning = item ? item.meaning : null;
+
+            return data;
+        }
+
+        const keys = Object.keys(data);
+
+        for (let i = 0; i < keys.length; i += 1) {
+            const value = data[keys[i]];
+
+            if (value && typeof value === 'object') {
+                this._addMeanings(movieCertifications, tvCertifications, value);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Gets an up to date list of the officially supported movie certifications on TMDb.
+     * @see https://developers.themoviedb.org/3/certifications/get-movie-certifications
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovieCertifications(options, wrapperOptions) {
+        return this.getEndpoint('movie', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets an up to date list of the officially supported TV show certifications on TMDb.
+     * @see https://developers.themoviedb.org/3/certifications/get-tv-certifications
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVCertifications(options, wrapperOptions) {
+        return this.getEndpoint('tv', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Looks up a certification of a country.
+     *
+     * @param {string} type Media type (movie or tv)
+     * @param {string} country ISO 3166-1 value
+     * @param {string} certification Certification (e.g. "PG-13")
+     * @returns {Promise<Object>} Certification with meaning and order or undefined
+     */
+    async getCertification(type, country, certification) {
+        try {
+            const certifications = await this._loadCertifications(type);
+
+            return this._findCertification(certifications, country, certification);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Adds certification meanings to movie release dates and TV show content ratings.
+     *
+     * @param {Object} data Response data (e.g. from Movie.getReleaseDates or TV.getContentRatings)
+     * @returns {Promise<Object>}
+     */
+    async addCertificationMeanings(data) {
+        try {
+            const [movieCertifications, tvCertifications] = await Promise.all([
+                this._loadCertifications('movie'),
+                this._loadCertifications('tv'),
+            ]);
+
+            return this._addMeanings(movieCertifications, tvCertifications, data);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
@@ -0,0 +1,90 @@
+import Resource from '../structures/Resource';
+
+import { basePath, endpoints } from '../endpoints/collection';
+
+/**
+ * Endpoints for the Collection resource.
+ * @see https://developers.themoviedb.org/3/collections
+ *
+ * @prop {number} id TMDb ID
+ * @extends {Resource}
+ */
+export default class Collection extends Resource {
+    /**
+     * Creates an instance of Collection.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} id TMDb ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+    }
+
+    /**
+     * Gets the primary information about a collection, including its parts (movies).
+     * @see https://developers.themoviedb.org/3/collections/get-collection-details
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the primary information about a collection with its parts sorted by release date.
+     *
+     * Parts without a release date are sorted last.
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetailsWithSortedParts(options, wrapperOptions) {
+        try {
+            const data = await this.getDetails(options, wrapperOptions);
+
+            const parts = [...(data.parts || [])].sort((a, b) => {
+                if (!a.release_date) return b.release_date ? 1 : 0;
+                if (!b.release_date) return -1;
+
+                return a.release_date.localeCompare(b.release_date);
+            });
+
+            return { ...data, parts };
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the images that belong to a collection.
+     * @see https://developers.themoviedb.org/3/collections/get-collection-images
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.include_image_language] Fallbacks for language option (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets a list of translations that have been created for a collection.
+     * @see https://developers.themoviedb.org/3/collections/get-collection-translations
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTranslations(options, wrapperOptions) {
+        return this.getEndpoint('translations', options, {}, wrapperOptions);
+    }
+}
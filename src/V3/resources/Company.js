@@ -0,0 +1,60 @@
+import Resource from '../structures/Resource';
+
+import { basePath, endpoints } from '../endpoints/company';
+
+/**
+ * Endpoints for the Company resource.
+ * @see https://developers.themoviedb.org/3/companies
+ *
+ * @prop {number} id TMDb ID
+ * @extends {Resource}
+ */
+export default class Company extends Resource {
+    /**
+     * Creates an instance of Company.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} id TMDb ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+    }
+
+    /**
+     * Gets the primary information about a company.
+     * @see https://developers.themoviedb.org/3/companies/get-company-details
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the alternative names of a company.
+     * @see https://developers.themoviedb.org/3/companies/get-company-alternative-names
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getAlternativeNames(options, wrapperOptions) {
+        return this.getEndpoint('alternative_names', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the logos of a company.
+     * @see https://developers.themoviedb.org/3/companies/get-company-images
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
+    }
+}
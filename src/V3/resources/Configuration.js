@@ -0,0 +1,361 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/configuration';
+
+/**
+ * Endpoints for the Configuration resource.
+ * @see https://developers.themoviedb.org/3/configuration
+ *
+ * @prop {Object} _imagePaths Image path keys mapped to image types
+ * @prop {Object} _imageLists Image list keys mapped to image types
+ * @extends {Resource}
+ */
+export default class Configuration extends Resource {
+    /**
+     * Creates an instance of Configuration.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+
+        this._imagePaths = {
+            backdrop_path: 'backdrop',
+            logo_path: 'logo',
+            poster_path: 'poster',
+            profile_path: 'profile',
+            still_path: 'still',
+        };
+
+        this._imageLists = {
+            backdrops: 'backdrop',
+            logos: 'logo',
+            posters: 'poster',
+            profiles: 'profile',
+            stills: 'still',
+        };
+    }
+
+    /**
+     * Gets the nearest valid size for an image type.
+     *
+     * @param {Array<string>} sizes Valid sizes
+     * @param {number|string} [size] Width in pixels or size name
+     * @returns {string}
+     */
+    _getNearestSize(sizes, size = 'original') {
+        if (typeof size === 'string' && !/^\d+$/.test(size)) {
+            if (!sizes.includes(size)) throw new ValidationError('Invalid image size.');
+
+            return size;
+        }
+
+        const width = parseInt(size, 10);
+        let nearest = 'original';
+        let nearestDistance = Infinity;
+
+        for (let i = 0; i < sizes.length; i += 1) {
+            const match = sizes[i].match(/^w(\d+)$/);
+
+            if (match) {
+                const distance = Math.abs(parseInt(match[1], 10) - width);
+
+                if (distance <= nearestDistance) {
+                    nearest = sizes[i];
+                    nearestDistance = distance;
+                }
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Creates an image URL using the images configuration.
+     *
+     * @param {Object} images Images configuration
+     * @param {string} path Image path
+     * @param {string} type Image type
+     * @param {number|string} [size] Width in pixels or size name
+     * @returns {string}
+     */
+    _createImageUrl(images, path, type, size) {
+        const sizes = images[`${type}_sizes`];
+
+        if (!sizes) throw new ValidationError('Invalid image type.');
+
+        return images.secure_base_url + this._getNearestSize(sizes, size) + path;
+    }
+
+    /**
+     * Adds image URLs to the data. Mutates the data.
+     *
+     * @param {Object} images Images configuration
+     * @param {*} data Response data
+     * @param {Object} sizes Image sizes by image type
+     * @param {string} [listType] Image type of the parent image list
+     * @returns {*}
+     */
+    _addImageUrls(images, data, sizes, listType) {
+        if (Array.isArray(data)) {
+            for (let i = 0; i < data.length; i += 1) {
+                this._addImageUrls(images, data[i], sizes, listType);
+            }
+
+            return data;
+        }
+
+        if (!data || typeof data !== 'object') return data;
+
+        const keys = Object.keys(data);
+
+        for (let i = 0; i < keys.length; i += 1) {
+            const key = keys[i];
+            const value = data[key];
+
+            const type = key === 'file_path' ? listType : this._imagePaths[key];
+
+            if (type && typeof value === 'string') {
+                const urlKey = key === 'file_path' ? 'file_url' : `${type}_url`;
+
+                data[urlKey] = this._createImageUrl(images, value, type, sizes[type]);
+            } else if (value && typeof value === 'object') {
+                this._addImageUrls(images, value, sizes, this._imageLists[key]);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * Gets the system wide configuration information.
+     * @see https://developers.themoviedb.org/3/configuration/get-api-configuration
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getApiConfiguration(options, wrapperOptions) {
+        return this.getEndpoint('api', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the images configuration. The configuration is requested once and memoized.
+     *
+     * @returns {Promise<Object>}
+     */
+    async getImages() {
+        return this._memoize('images', () =>
+            this.getApiConfiguration().then(({ images }) => images)
+        );
+    }
+
+    /**
+     * Gets the URL for an image path.
+     *
+     * @param {string} path Image path (e.g. "poster_path" value)
+     * @param {string} type Image type (backdrop, logo, poster, profile or still)
+     * @param {number|string} [size] Width in pixels or size name (e.g. "w500" or "original")
+     * @returns {Promise<string>}
+     */
+    async getImageUrl(path, type, size) {
+        if (!path) return Promise.reject(new ValidationError('Image path required.'));
+
+        try {
+            const images = await this.getImages();
+
+            return this._createImageUrl(images, path, type, size);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Adds image URLs to the results of a resource. Each "*_path" value gets a "*_url" value.
+     *
+     * @param {Object} data Response data
+     * @param {Object} [sizes] Width in pixels or size name by image type
+     * @param {number|string} [sizes.backdrop] Backdrop size
+     * @param {number|string} [sizes.logo] Logo size
+     * @param {number|string} [sizes.poster] Poster size
+     * @param {number|string} [sizes.profile] Profile size
+     * @param {number|string} [sizes.still] Still size
+     * @returns {Promise<Object>}
+     */
+    async addImageUrls(data, sizes = {}) {
+        try {
+            const images = await this.getImages();
+
+            return this._addImageUrls(images, data, sizes);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Loads reference data once per language.
+     *
+     * @param {string} endpointName Endpoint name
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<Array>}
+     */
+    async _loadReferenceData(endpointName, options = {}) {
+        const language = options.language || this._apiOptions.language;
+        const requestOptions = language ? { language } : {};
+
+        return this._memoize(`${endpointName}:${language}`, () =>
+            this.getEndpoint(endpointName, requestOptions)
+        );
+    }
+
+    /**
+     * Gets the list of countries (ISO 3166-1 tags) used throughout TMDb.
+     * @see https://developers.themoviedb.org/3/configuration/get-countries
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Array<Object>>}
+     */
+    async getCountries(options, wrapperOptions) {
+        return this.getEndpoint('countries', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the list of the jobs and departments used on TMDb.
+     * @see https://developers.themoviedb.org/3/configuration/get-jobs
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Array<Object>>}
+     */
+    async getJobs(options, wrapperOptions) {
+        return this.getEndpoint('jobs', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the list of languages (ISO 639-1 tags) used throughout TMDb.
+     * @see https://developers.themoviedb.org/3/configuration/get-languages
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Array<Object>>}
+     */
+    async getLanguages(options, wrapperOptions) {
+        return this.getEndpoint('languages', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the list of officially supported translations on TMDb.
+     * @see https://developers.themoviedb.org/3/configuration/get-primary-translations
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Array<string>>}
+     */
+    async getPrimaryTranslations(options, wrapperOptions) {
+        return this.getEndpoint('primary_translations', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the list of timezones used throughout TMDb.
+     * @see https://developers.themoviedb.org/3/configuration/get-timezones
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Array<Object>>}
+     */
+    async getTimezones(options, wrapperOptions) {
+        return this.getEndpoint('timezones', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Looks up a country by its ISO 3166-1 value.
+     *
+     * @param {string} code ISO 3166-1 value
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<Object>} Country or undefined
+     */
+    async getCountry(code, options) {
+        try {
+            const countries = await this._loadReferenceData('countries', options);
+
+            return countries.find((country) => country.iso_3166_1 === code);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Looks up a language by its ISO 639-1 value.
+     *
+     * @param {string} code ISO 639-1 value
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<Object>} Language or undefined
+     */
+    async getLanguage(code, options) {
+        try {
+            const languages = await this._loadReferenceData('languages', options);
+
+            return languages.find((language) => language.iso_639_1 === code);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Looks up the department of a job.
+     *
+     * @param {string} job Job (e.g. "Director")
+     * @returns {Promise<string>} Department or undefined
+     */
+    async getJobDepartment(job) {
+        try {
+            const departments = await this._loadReferenceData('jobs');
+            const department = departments.find(({ jobs }) => jobs.includes(job));
+
+            return department && department.department;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Looks up the timezones of a country.
+     *
+     * @param {string} code ISO 3166-1 value
+     * @returns {Promise<Array<string>>}
+     */
+    async getCountryTimezones(code) {
+        try {
+            const timezones = await this._loadReferenceData('timezones');
+            const country = timezones.find((timezone) => timezone.iso_3166_1 === code);
+
+            return country ? country.zones : [];
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Checks if a language tag (e.g. "en-US") is an officially supported translation.
+     *
+     * @param {string} tag Language tag
+     * @returns {Promise<boolean>}
+     */
+    async isPrimaryTranslation(tag) {
+        try {
+            const translations = await this._loadReferenceData('primary_translations');
+
+            return translations.includes(tag);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
@@ -0,0 +1,405 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/discover';
+
+/**
+ * Chainable filter builder for the Discover resource.
+ *
+ * @prop {Discover} _resource Discover resource
+ * @prop {string} _type Media type (movie or tv)
+ * @prop {Object} _endpoint Discover endpoint
+ * @prop {Object} _options API options
+ */
+export class DiscoverFilter {
+    /**
+     * Creates an instance of DiscoverFilter.
+     *
+     * @param {Discover} resource Discover resource
+     * @param {string} type Media type (movie or tv)
+     * @param {Object} [options] Initial API options
+     */
+    constructor(resource, type, options = {}) {
+        this._resource = resource;
+        this._type = type;
+        this._endpoint = endpoints[type];
+
+        if (!this._endpoint) throw new ValidationError('Invalid media type.');
+
+        this._options = {};
+
+        Object.keys(options).forEach((name) => this.set(name, options[name]));
+    }
+
+    /**
+     * Serializes a list of values. Values are joined with "," (AND) or "|" (OR).
+     *
+     * @param {Array<number|string|Object>|number|string} values List values
+     * @param {boolean} [any] Match any value instead of all values?
+     * @returns {string}
+     */
+    _serializeList(values, any = false) {
+        if (!Array.isArray(values)) return String(values);
+        if (values.length === 0) throw new ValidationError('List values required.');
+
+        return values
+            .map((value) => (typeof value === 'object' && value !== null ? value.id : value))
+            .join(any ? '|' : ',');
+    }
+
+    /**
+     * Serializes a date to the YYYY-MM-DD format. Dates are formatted in local time.
+     *
+     * @param {Date|string} date Date
+     * @returns {string}
+     */
+    _serializeDate(date) {
+        if (date instanceof Date && !Number.isNaN(date.getTime())) {
+            const pad = (value) => String(value).padStart(2, '0');
+
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+
+        if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) return date;
+
+        throw new ValidationError('Invalid date.');
+    }
+
+    /**
+     * Sets a range of values using the ".gte" and ".lte" option suffixes.
+     *
+     * @param {string} name Option name
+     * @param {Object} range Range
+     * @param {number} [range.min] Minimum value
+     * @param {number} [range.max] Maximum value
+     * @returns {DiscoverFilter}
+     */
+    _setRange(name, { min, max } = {}) {
+        if (min === undefined && max === undefined) throw new ValidationError('Range required.');
+
+        [
+            ['gte', min],
+            ['lte', max],
+        ].forEach(([suffix, value]) => {
+            if (value === undefined) return;
+            if (Number.isNaN(Number(value))) throw new ValidationError('Invalid range value.');
+
+            this.set(`${name}.${suffix}`, Number(value));
+        });
+
+        return this;
+    }
+
+    /**
+     * Sets an API option.
+     *
+     * @param {string} name Option name
+     * @param {*} value Option value (null or undefined removes the option)
+     * @returns {DiscoverFilter}
+     */
+    set(name, value) {
+        if (!this._endpoint.options.includes(name)) {
+            throw new ValidationError(`Invalid discover option "${name}" for ${this._type}.`);
+        }
+
+        if (value === null || value === undefined) {
+            delete this._options[name];
+        } else {
+            this._options[name] = Array.isArray(value) ? this._serializeList(value) : value;
+        }
+
+        return this;
+    }
+
+    /**
+     * Filters results by genres.
+     *
+     * @param {Array<number>} genres Genre IDs
+     * @param {boolean} [any] Match any genre instead of all genres?
+     * @returns {DiscoverFilter}
+     */
+    withGenres(genres, any) {
+        return this.set('with_genres', this._serializeList(genres, any));
+    }
+
+    /**
+     * Excludes results by genres.
+     *
+     * @param {Array<number>} genres Genre IDs
+     * @returns {DiscoverFilter}
+     */
+    withoutGenres(genres) {
+        return this.set('without_genres', this._serializeList(genres));
+    }
+
+    /**
+     * Filters results by keywords.
+     *
+     * @param {Array<number>} keywords Keyword IDs
+     * @param {boolean} [any] Match any keyword instead of all keywords?
+     * @returns {DiscoverFilter}
+     */
+    withKeywords(keywords, any) {
+        return this.set('with_keywords', this._serializeList(keywords, any));
+    }
+
+    /**
+     * Excludes results by keywords.
+     *
+     * @param {Array<number>} keywords Keyword IDs
+     * @returns {DiscoverFilter}
+     */
+    withoutKeywords(keywords) {
+        return this.set('without_keywords', this._serializeList(keywords));
+    }
+
+    /**
+     * Filters results by production companies.
+     *
+     * @param {Array<number>} companies Company IDs
+     * @param {boolean} [any] Match any company instead of all companies?
+     * @returns {DiscoverFilter}
+     */
+    withCompanies(companies, any) {
+        return this.set('with_companies', this._serializeList(companies, any));
+    }
+
+    /**
+     * Filters results by people (movies only).
+     *
+     * @param {Array<number>} people Person IDs
+     * @param {boolean} [any] Match any person instead of all people?
+     * @returns {DiscoverFilter}
+     */
+    withPeople(people, any) {
+        return this.set('with_people', this._serializeList(people, any));
+    }
+
+    /**
+     * Filters results by networks (TV shows only).
+     *
+     * @param {Array<number>} networks Network IDs
+     * @param {boolean} [any] Match any network instead of all networks?
+     * @returns {DiscoverFilter}
+     */
+    withNetworks(networks, any) {
+        return this.set('with_networks', this._serializeList(networks, any));
+    }
+
+    /**
+     * Filters results by primary release date (movies) or first air date (TV shows).
+     *
+     * @param {Object} range Date range
+     * @param {Date|string} [range.from] Earliest date (YYYY-MM-DD)
+     * @param {Date|string} [range.to] Latest date (YYYY-MM-DD)
+     * @returns {DiscoverFilter}
+     */
+    releaseDate({ from, to } = {}) {
+        if (from === undefined && to === undefined) {
+            throw new ValidationError('Date range required.');
+        }
+
+        if (from !== undefined) this.set(this._endpoint.dates.gte, this._serializeDate(from));
+        if (to !== undefined) this.set(this._endpoint.dates.lte, this._serializeDate(to));
+
+        return this;
+    }
+
+    /**
+     * Filters results by primary release year (movies) or first air date year (TV shows).
+     *
+     * @param {number} year Year
+     * @returns {DiscoverFilter}
+     */
+    year(year) {
+        if (!/^\d{4}$/.test(year)) throw new ValidationError('Invalid year.');
+
+        return this.set(this._endpoint.year, Number(year));
+    }
+
+    /**
+     * Filters results by vote average.
+     *
+     * @param {Object} range Vote average range
+     * @param {number} [range.min] Minimum vote average
+     * @param {number} [range.max] Maximum vote average
+     * @returns {DiscoverFilter}
+     */
+    voteAverage(range) {
+        return this._setRange('vote_average', range);
+    }
+
+    /**
+     * Filters results by vote count.
+     *
+     * @param {Object} range Vote count range
+     * @param {number} [range.min] Minimum vote count
+     * @param {number} [range.max] Maximum vote count
+     * @returns {DiscoverFilter}
+     */
+    voteCount(range) {
+        return this._setRange('vote_count', range);
+    }
+
+    /**
+     * Filters results by runtime in minutes.
+     *
+     * @param {Object} range Runtime range
+     * @param {number} [range.min] Minimum runtime
+     * @param {number} [range.max] Maximum runtime
+     * @returns {DiscoverFilter}
+     */
+    runtime(range) {
+        return this._setRange('with_runtime', range);
+    }
+
+    /**
+     * Filters results by certification (movies only).
+     *
+     * @param {string} country ISO 3166-1 value of the certification country
+     * @param {Object} certification Certification filter
+     * @param {string} [certification.value] Exact certification
+     * @param {string} [certification.min] Minimum certification
+     * @param {string} [certification.max] Maximum certification
+     * @returns {DiscoverFilter}
+     */
+    certification(country, { value, min, max } = {}) {
+        if (!country) throw new ValidationError('Certification country required.');
+
+        return this.set('certification_country', country)
+            .set('certification', value)
+            .set('certification.gte', min)
+            .set('certification.lte', max);
+    }
+
+    /**
+     * Filters results by watch providers in a region.
+     *
+     * @param {Array<number>} providers Watch provider IDs
+     * @param {string} region ISO 3166-1 value of the watch region
+     * @param {boolean} [any] Match any provider instead of all providers?
+     * @returns {DiscoverFilter}
+     */
+    watchProviders(providers, region, any) {
+        if (!region) throw new ValidationError('Watch region required.');
+
+        return this.set('with_watch_providers', this._serializeList(providers, any)).set(
+            'watch_region',
+            region
+        );
+    }
+
+    /**
+     * Sorts results.
+     *
+     * @param {string} field Sort field
+     * @param {string} [order] Sort order (asc or desc)
+     * @returns {DiscoverFilter}
+     */
+    sortBy(field, order = 'desc') {
+        if (!this._endpoint.sort_by.includes(field)) {
+            throw new ValidationError(`Invalid sort field "${field}" for ${this._type}.`);
+        }
+
+        if (order !== 'asc' && order !== 'desc') throw new ValidationError('Invalid sort order.');
+
+        return this.set('sort_by', `${field}.${order}`);
+    }
+
+    /**
+     * Gets the API options created by the filter.
+     *
+     * @returns {Object}
+     */
+    toOptions() {
+        return { ...this._options };
+    }
+
+    /**
+     * Gets the results matching the filter.
+     *
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async get(options, wrapperOptions) {
+        const requestOptions = { ...this._options, ...options };
+
+        return this._resource.getEndpoint(this._type, requestOptions, {}, wrapperOptions);
+    }
+}
+
+/**
+ * Endpoints for the Discover resource.
+ * @see https://developers.themoviedb.org/3/discover
+ *
+ * @extends {Resource}
+ */
+export class Discover extends Resource {
+    /**
+     * Creates an instance of Discover.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+    }
+
+    /**
+     * Creates a filter builder for movies.
+     *
+     * @param {Object} [options] Initial API options
+     * @returns {DiscoverFilter}
+     */
+    movies(options) {
+        return new DiscoverFilter(this, 'movie', options);
+    }
+
+    /**
+     * Creates a filter builder for TV shows.
+     *
+     * @param {Object} [options] Initial API options
+     * @returns {DiscoverFilter}
+     */
+    tvShows(options) {
+        return new DiscoverFilter(this, 'tv', options);
+    }
+
+    /**
+     * Discovers movies by different types of data.
+     * @see https://developers.themoviedb.org/3/discover/movie-discover
+     *
+     * @param {Object|DiscoverFilter} [options] Request options or filter
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.region] ISO 3166-1 value to filter release dates
+     * @param {string} [options.sort_by] Sort results
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovies(options, wrapperOptions) {
+        if (options instanceof DiscoverFilter) return options.get({}, wrapperOptions);
+
+        return this.movies(options).get({}, wrapperOptions);
+    }
+
+    /**
+     * Discovers TV shows by different types of data.
+     * @see https://developers.themoviedb.org/3/discover/tv-discover
+     *
+     * @param {Object|DiscoverFilter} [options] Request options or filter
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort results
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVShows(options, wrapperOptions) {
+        if (options instanceof DiscoverFilter) return options.get({}, wrapperOptions);
+
+        return this.tvShows(options).get({}, wrapperOptions);
+    }
+}
@@ -0,0 +1,147 @@
+import Resource from '../structures/Resource';
+
+import { basePath, endpoints } from '../endpoints/episode';
+
+/**
+ * Endpoints for the TV episode resource.
+ * @see https://developers.themoviedb.org/3/tv-episodes
+ *
+ * @prop {number} id TMDb ID of the TV show
+ * @prop {number} season Season number
+ * @prop {number} episode Episode number
+ * @extends {Resource}
+ */
+export default class Episode extends Resource {
+    /**
+     * Creates an instance of Episode.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} id TMDb ID of the TV show
+     * @param {number} season Season number
+     * @param {number} episode Episode number
+     */
+    constructor(version, apiOptions, wrapperOptions, id, season, episode) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id, season, episode });
+    }
+
+    /**
+     * Gets the primary information about a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-details
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.append_to_response] Request multiple endpoints at the same time (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the credits (cast, crew and guest stars) for a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-credits
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCredits(options, wrapperOptions) {
+        return this.getEndpoint('credits', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the external IDs for a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-external-ids
+     *
+     * Supported media databases: IMDb ID, TVDB ID, Freebase MID, Freebase ID, TVRage ID.
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getExternalIds(options, wrapperOptions) {
+        return this.getEndpoint('external_ids', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the images (stills) that belong to a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-images
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets a list of translations that have been created for a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-translations
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTranslations(options, wrapperOptions) {
+        return this.getEndpoint('translations', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the videos that have been added to a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-videos
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getVideos(options, wrapperOptions) {
+        return this.getEndpoint('videos', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets TV episode related account states for a session.
+     * @see https://developers.themoviedb.org/3/tv-episodes/get-tv-episode-account-states
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.guest_session_id] Guest session ID
+     * @param {string} [options.session_id] Session ID
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getAccountStates(options, wrapperOptions) {
+        return this.getEndpoint('account_states', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Rates a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/rate-tv-episode
+     *
+     * @param {Object|number} content Request content or rating value
+     * @param {number} content.value Rating value between 0.5 and 10 in steps of 0.5
+     * @param {Object} [options] Request options
+     * @param {string} [options.guest_session_id] Guest session ID
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async addRating(content, options) {
+        return this._addRating(content, options);
+    }
+
+    /**
+     * Removes a rating for a TV episode.
+     * @see https://developers.themoviedb.org/3/tv-episodes/delete-tv-episode-rating
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.guest_session_id] Guest session ID
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async removeRating(options) {
+        return this.updateEndpoint('DELETE', 'rating', options);
+    }
+}
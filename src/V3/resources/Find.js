@@ -1,5 +1,5 @@
 import Resource from '../structures/Resource';
-import ResponseError from '../structures/ResponseError';
+import { AmbiguityError, NotFoundError, ValidationError } from '../structures/ResponseError';
 
 import { basePath, endpoints } from '../endpoints/find';
 
@@ -7,6 +7,10 @@ import { basePath, endpoints } from '../endpoints/find';
  * Endpoints for the Find resource.
  * @see https://developers.themoviedb.org/3/find
  *
+ * External IDs can have a source prefix (e.g. "imdb:tt0137523", "tvdb:81189", "wikidata:Q190050"
+ * or "twitter:bryancranston"). IDs without a prefix are detected from their format (IMDb, Wikidata,
+ * TVDB and TVRage IDs). Social media IDs always require a prefix.
+ *
  * @extends {Resource}
  */
 export default class Find extends Resource {
@@ -20,30 +24,131 @@ export default class Find extends Resource {
     constructor(version, apiOptions, wrapperOptions) {
         super(version, apiOptions, wrapperOptions, basePath, endpoints);
 
+        const handle = /^[\w.]+$/;
+        const number = /^\d+$/;
+        const wikidata = /^Q\d+$/;
+
         this._customId = /^t(\d+)$/;
+        this._sourcePrefix = /^([a-z]+):(.+)$/i;
+        this._detectableSources = ['imdb_id', 'wikidata_id', 'tvdb_id', 'tvrage_id'];
         this._externalSources = {
-            movie_results: { imdb_id: /^tt\d+$/ },
-            tv_results: { imdb_id: /^tt\d+$/ },
-            person_results: { imdb_id: /^nm\d+$/ },
+            movie_results: {
+                imdb_id: /^tt\d+$/,
+                wikidata_id: wikidata,
+                facebook_id: handle,
+                instagram_id: handle,
+                twitter_id: handle,
+            },
+            tv_results: {
+                imdb_id: /^tt\d+$/,
+                tvdb_id: number,
+                tvrage_id: number,
+                wikidata_id: wikidata,
+                facebook_id: handle,
+                instagram_id: handle,
+                twitter_id: handle,
+            },
+            tv_season_results: {
+                tvdb_id: number,
+                wikidata_id: wikidata,
+            },
+            tv_episode_results: {
+                imdb_id: /^tt\d+$/,
+                tvdb_id: number,
+                tvrage_id: number,
+                wikidata_id: wikidata,
+            },
+            person_results: {
+                imdb_id: /^nm\d+$/,
+                tvrage_id: number,
+                wikidata_id: wikidata,
+                facebook_id: handle,
+                instagram_id: handle,
+                twitter_id: handle,
+            },
         };
     }
 
     /**
-     * Gets the external source from an external ID.
+     * Gets the external sources of a media type.
+     *
+     * @param {string} [type] Media type (all media types if not set)
+     * @returns {Object} Lists of external ID formats by external source
+     */
+    _getExternalSources(type) {
+        const types = type ? [type] : Object.keys(this._externalSources);
+        const sources = {};
+
+        types.forEach((_type) => {
+            const formats = this._externalSources[_type] || {};
+
+            Object.keys(formats).forEach((sourceName) => {
+                sources[sourceName] = [...(sources[sourceName] || []), formats[sourceName]];
+            });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Parses an external ID with or without a source prefix.
+     *
+     * @param {string} externalId External ID (e.g. "tt0137523" or "tvdb:81189")
+     * @param {string} [type] Media type (e.g. "tv_results")
+     * @returns {Object} External source (e.g. "tvdb_id") and ID without prefix
+     */
+    parseExternalId(externalId, type) {
+        const sources = this._getExternalSources(type);
+        const isValid = (sourceName, id) =>
+            sources[sourceName] !== undefined &&
+            sources[sourceName].some((format) => format.test(id));
+
+        const prefixed = String(externalId).match(this._sourcePrefix);
+
+        if (prefixed) {
+            const sourceName = `${prefixed[1].toLowerCase()}_id`;
+
+            if (!isValid(sourceName, prefixed[2])) {
+                throw new ValidationError('Invalid external ID.');
+            }
+
+            return { source: sourceName, id: prefixed[2] };
+        }
+
+        const sourceNames = this._detectableSources.filter((sourceName) =>
+            isValid(sourceName, externalId)
+        );
+
+        if (sourceNames.length === 0) throw new ValidationError('Invalid external ID.');
+
+        if (sourceNames.length > 1) {
+            throw new AmbiguityError(
+                `External ID matches several sources (${sourceNames.join(', ')}). Use a prefix.`,
+                sourceNames
+            );
+        }
+
+        return { source: sourceNames[0], id: String(externalId) };
+    }
+
+    /**
+     * Gets the first result of a media type from an external ID.
      *
      * @param {string} externalId External ID
      * @param {string} type Media type
-     * @returns {string}
+     * @returns {Promise<Object>}
      */
-    _getExternalSource(externalId, type) {
-        const sources = this._externalSources[type];
-        const sourceNames = Object.keys(sources);
+    async _getResultFromExternalSource(externalId, type) {
+        try {
+            const { source, id } = this.parseExternalId(externalId, type);
+            const response = await this.findByExternalId(id, { external_source: source });
 
-        for (let i = 0; i < sourceNames.length; i += 1) {
-            const sourceName = sourceNames[i];
-            const sourceValue = this._externalSources[type][sourceName];
+            const results = response[type] || [];
+            if (results.length === 0) return Promise.reject(new NotFoundError('No results.'));
 
-            if (sourceValue.test(externalId)) return sourceName;
+            return results[0];
+        } catch (error) {
+            return Promise.reject(error);
         }
     }
 
@@ -61,34 +166,44 @@ export default class Find extends Resource {
             if (isCustom) return isCustom[1];
         }
 
-        const sourceName = this._getExternalSource(externalId, type);
-        if (!sourceName) return Promise.reject(new ResponseError('Invalid external ID.'));
-
         try {
-            const response = await this.findByExternalId(externalId, {
-                external_source: sourceName,
-            });
-
-            const results = response[type];
-            if (results.length === 0) return Promise.reject(new ResponseError('No results.'));
+            const { id } = await this._getResultFromExternalSource(externalId, type);
 
-            return results[0].id;
+            return id;
         } catch (error) {
             return Promise.reject(error);
         }
     }
 
     /**
-     * Gets TMDb ID from external ID for all media types.
+     * Gets TMDb ID from external ID for all media types. The external source is taken from the
+     * prefix or format of the ID if not set.
      * @see https://developers.themoviedb.org/3/find/find-by-id
      *
      * @param {string} externalId External ID
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.external_source] External source
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async findByExternalId(externalId, options) {
-        return this.getEndpoint('external_id', options, { externalId });
+    async findByExternalId(externalId, options = {}, wrapperOptions) {
+        if (options.external_source) {
+            return this.getEndpoint('external_id', options, { externalId }, wrapperOptions);
+        }
+
+        try {
+            const { source, id } = this.parseExternalId(externalId);
+            const requestOptions = { ...options, external_source: source };
+
+            return this.getEndpoint(
+                'external_id',
+                requestOptions,
+                { externalId: id },
+                wrapperOptions
+            );
+        } catch (error) {
+            return Promise.reject(error);
+        }
     }
 }
@@ -0,0 +1,140 @@
+import Resource from '../structures/Resource';
+
+import { basePath, endpoints } from '../endpoints/genre';
+
+/**
+ * Endpoints for the Genres resource.
+ * @see https://developers.themoviedb.org/3/genres
+ *
+ * @extends {Resource}
+ */
+export default class Genres extends Resource {
+    /**
+     * Creates an instance of Genres.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+    }
+
+    /**
+     * Loads the movie and TV show genres once per language. Genre IDs are unique across media types.
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<Map<number, string>>} Genre names by genre ID
+     */
+    async _loadGenres(options = {}) {
+        const language = options.language || this._apiOptions.language;
+        const requestOptions = language ? { language } : {};
+
+        return this._memoize(`genres:${language}`, async () => {
+            const lists = await Promise.all([
+                this.getMovieGenres(requestOptions),
+                this.getTVGenres(requestOptions),
+            ]);
+
+            const genres = new Map();
+
+            lists.forEach((list) => list.genres.forEach(({ id, name }) => genres.set(id, name)));
+
+            return genres;
+        });
+    }
+
+    /**
+     * Adds genres to the data. Mutates the data.
+     *
+     * @param {Map<number, string>} genres Genre names by genre ID
+     * @param {*} data Response data
+     * @returns {*}
+     */
+    _addGenres(genres, data) {
+        if (Array.isArray(data)) {
+            for (let i = 0; i < data.length; i += 1) this._addGenres(genres, data[i]);
+
+            return data;
+        }
+
+        if (!data || typeof data !== 'object') return data;
+
+        if (Array.isArray(data.genre_ids) && !data.genres) {
+            data.genres = data.genre_ids.map((id) => ({ id, name: genres.get(id) || null }));
+        }
+
+        const keys = Object.keys(data);
+
+        for (let i = 0; i < keys.length; i += 1) {
+            const value = data[keys[i]];
+
+            if (value && typeof value === 'object') this._addGenres(genres, value);
+        }
+
+        return data;
+    }
+
+    /**
+     * Gets the list of official genres for movies.
+     * @see https://developers.themoviedb.org/3/genres/get-movie-list
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovieGenres(options, wrapperOptions) {
+        return this.getEndpoint('movie', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the list of official genres for TV shows.
+     * @see https://developers.themoviedb.org/3/genres/get-tv-list
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVGenres(options, wrapperOptions) {
+        return this.getEndpoint('tv', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Looks up the name of a genre.
+     *
+     * @param {number} id Genre ID
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<string>} Genre name or undefined
+     */
+    async getGenreName(id, options) {
+        try {
+            const genres = await this._loadGenres(options);
+
+            return genres.get(id);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Adds genres to results. Each "genre_ids" value gets a "genres" value with IDs and names.
+     *
+     * @param {Object} data Response data (e.g. from Search, MovieMore or TVMore)
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @returns {Promise<Object>}
+     */
+    async addGenreNames(data, options) {
+        try {
+            const genres = await this._loadGenres(options);
+
+            return this._addGenres(genres, data);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
@@ -0,0 +1,51 @@
+import Resource from '../structures/Resource';
+
+import { basePath, endpoints } from '../endpoints/keyword';
+
+/**
+ * Endpoints for the Keyword resource.
+ * @see https://developers.themoviedb.org/3/keywords
+ *
+ * @prop {number} id TMDb ID
+ * @extends {Resource}
+ */
+export default class Keyword extends Resource {
+    /**
+     * Creates an instance of Keyword.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} id TMDb ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+    }
+
+    /**
+     * Gets the primary information about a keyword.
+     * @see https://developers.themoviedb.org/3/keywords/get-keyword-details
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the movies that belong to a keyword.
+     * @see https://developers.themoviedb.org/3/keywords/get-movies-by-keyword
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {boolean} [options.include_adult] Include adult (pornography) content?
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovies(options, wrapperOptions) {
+        return this.getEndpoint('movies', options, {}, wrapperOptions);
+    }
+}
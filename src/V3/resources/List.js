@@ -0,0 +1,155 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/list';
+
+/**
+ * Endpoints for the List resource. Updating a list requires the session ID of its owner.
+ * @see https://developers.themoviedb.org/3/lists
+ *
+ * @prop {number} id TMDb ID (set when the list is created)
+ * @extends {Resource}
+ */
+export default class List extends Resource {
+    /**
+     * Creates an instance of List.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} [id] TMDb ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+    }
+
+    /**
+     * Updates an endpoint of the list.
+     *
+     * @param {string} method Method
+     * @param {string} endpointName Endpoint name
+     * @param {Object} [options] Request options
+     * @param {Object} [content] Request content
+     * @returns {Promise<Object>}
+     */
+    async _updateListEndpoint(method, endpointName, options, content) {
+        if (!this._params.id) return Promise.reject(new ValidationError('List ID required.'));
+
+        return this.updateEndpoint(method, endpointName, options, content);
+    }
+
+    /**
+     * Gets the details and items of a list.
+     * @see https://developers.themoviedb.org/3/lists/get-list-details
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Checks if a movie has already been added to the list.
+     * @see https://developers.themoviedb.org/3/lists/check-item-status
+     *
+     * @param {number} movieId Movie TMDb ID
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getItemStatus(movieId, options, wrapperOptions) {
+        if (!movieId) return Promise.reject(new ValidationError('Movie ID required.'));
+
+        const requestOptions = { ...options, movie_id: movieId };
+
+        return this.getEndpoint('item_status', requestOptions, {}, wrapperOptions);
+    }
+
+    /**
+     * Creates a list. The TMDb ID of the new list is used by the other methods.
+     * @see https://developers.themoviedb.org/3/lists/create-list
+     *
+     * @param {Object} content Request content
+     * @param {string} content.name List name
+     * @param {string} [content.description] List description
+     * @param {string} [content.language] ISO 639-1 value of the list language
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async create(content = {}, options) {
+        if (this._params.id) return Promise.reject(new ValidationError('List already created.'));
+        if (!content.name) return Promise.reject(new ValidationError('List name required.'));
+
+        try {
+            const response = await this.updateEndpoint('POST', 'create', options, {
+                description: '',
+                language: this._apiOptions.language || 'en',
+                ...content,
+            });
+
+            this._params.id = response.list_id;
+
+            return response;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Adds a movie to the list.
+     * @see https://developers.themoviedb.org/3/lists/add-movie
+     *
+     * @param {number} movieId Movie TMDb ID
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async addMovie(movieId, options) {
+        if (!movieId) return Promise.reject(new ValidationError('Movie ID required.'));
+
+        return this._updateListEndpoint('POST', 'add_item', options, { media_id: movieId });
+    }
+
+    /**
+     * Removes a movie from the list.
+     * @see https://developers.themoviedb.org/3/lists/remove-movie
+     *
+     * @param {number} movieId Movie TMDb ID
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async removeMovie(movieId, options) {
+        if (!movieId) return Promise.reject(new ValidationError('Movie ID required.'));
+
+        return this._updateListEndpoint('POST', 'remove_item', options, { media_id: movieId });
+    }
+
+    /**
+     * Removes all items from the list.
+     * @see https://developers.themoviedb.org/3/lists/clear-list
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async clear(options) {
+        return this._updateListEndpoint('POST', 'clear', { ...options, confirm: true });
+    }
+
+    /**
+     * Deletes the list.
+     * @see https://developers.themoviedb.org/3/lists/delete-list
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.session_id] Session ID
+     * @returns {Promise<Object>}
+     */
+    async delete(options) {
+        return this._updateListEndpoint('DELETE', 'delete', options);
+    }
+}
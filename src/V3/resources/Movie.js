@@ -1,4 +1,6 @@
 import Resource from '../structures/Resource';
+import { NotFoundError } from '../structures/ResponseError';
+import Collection from './Collection';
 
 import { basePath, endpoints } from '../endpoints/movie';
 
@@ -29,10 +31,40 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.append_to_response] Request multiple endpoints at the same time (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getDetails(options) {
-        return this.getEndpoint('details', options);
+    getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the collection a movie belongs to with all of its parts sorted by release date.
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCollection(options, wrapperOptions) {
+        try {
+            const { belongs_to_collection: collection } = await this.getDetails(
+                options,
+                wrapperOptions
+            );
+
+            if (!collection) {
+                return Promise.reject(new NotFoundError('Movie does not belong to a collection.'));
+            }
+
+            const { _version, _apiOptions, _wrapperOptions } = this;
+
+            const resource = new Collection(_version, _apiOptions, _wrapperOptions, collection.id);
+
+            return resource.getDetailsWithSortedParts(options, wrapperOptions);
+        } catch (error) {
+            return Promise.reject(error);
+        }
     }
 
     /**
@@ -40,10 +72,11 @@ export class Movie extends Resource {
      * @see https://developers.themoviedb.org/3/movies/get-movie-alternative-titles
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getAlternativeTitles(options) {
-        return this.getEndpoint('alternative_titles', options);
+    getAlternativeTitles(options, wrapperOptions) {
+        return this.getEndpoint('alternative_titles', options, {}, wrapperOptions);
     }
 
     /**
@@ -56,10 +89,11 @@ export class Movie extends Resource {
      * @param {string} [options.start_date] Filter results by start date
      * @param {string} [options.end_date] Filter results by end date
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getChanges(options) {
-        return this.getEndpoint('changes', options);
+    getChanges(options, wrapperOptions) {
+        return this.getEndpoint('changes', options, {}, wrapperOptions);
     }
 
     /**
@@ -67,10 +101,11 @@ export class Movie extends Resource {
      * @see https://developers.themoviedb.org/3/movies/get-movie-credits
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getCredits(options) {
-        return this.getEndpoint('credits', options);
+    getCredits(options, wrapperOptions) {
+        return this.getEndpoint('credits', options, {}, wrapperOptions);
     }
 
     /**
@@ -81,10 +116,11 @@ export class Movie extends Resource {
      * Supported social IDs: Facebook, Instagram, Twitter.
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getExternalIds(options) {
-        return this.getEndpoint('external_ids', options);
+    getExternalIds(options, wrapperOptions) {
+        return this.getEndpoint('external_ids', options, {}, wrapperOptions);
     }
 
     /**
@@ -94,10 +130,11 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.include_image_language] Fallbacks for language option (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getImages(options) {
-        return this.getEndpoint('images', options);
+    getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
     }
 
     /**
@@ -105,10 +142,11 @@ export class Movie extends Resource {
      * @see https://developers.themoviedb.org/3/movies/get-movie-keywords
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getKeywords(options) {
-        return this.getEndpoint('keywords', options);
+    getKeywords(options, wrapperOptions) {
+        return this.getEndpoint('keywords', options, {}, wrapperOptions);
     }
 
     /**
@@ -118,10 +156,11 @@ export class Movie extends Resource {
      * Supported types: Premiere, Theatrical (limited), Theatrical, Digital, Physical, TV.
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getReleaseDates(options) {
-        return this.getEndpoint('release_dates', options);
+    getReleaseDates(options, wrapperOptions) {
+        return this.getEndpoint('release_dates', options, {}, wrapperOptions);
     }
 
     /**
@@ -130,10 +169,11 @@ export class Movie extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getVideos(options) {
-        return this.getEndpoint('videos', options);
+    getVideos(options, wrapperOptions) {
+        return this.getEndpoint('videos', options, {}, wrapperOptions);
     }
 
     /**
@@ -141,10 +181,11 @@ export class Movie extends Resource {
      * @see https://developers.themoviedb.org/3/movies/get-movie-translations
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getTranslations(options) {
-        return this.getEndpoint('translations', options);
+    getTranslations(options, wrapperOptions) {
+        return this.getEndpoint('translations', options, {}, wrapperOptions);
     }
 
     /**
@@ -154,10 +195,11 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getRecommendations(options) {
-        return this.getEndpoint('recommendations', options);
+    getRecommendations(options, wrapperOptions) {
+        return this.getEndpoint('recommendations', options, {}, wrapperOptions);
     }
 
     /**
@@ -167,10 +209,11 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getSimilar(options) {
-        return this.getEndpoint('similar', options);
+    getSimilar(options, wrapperOptions) {
+        return this.getEndpoint('similar', options, {}, wrapperOptions);
     }
 
     /**
@@ -180,10 +223,11 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getReviews(options) {
-        return this.getEndpoint('reviews', options);
+    getReviews(options, wrapperOptions) {
+        return this.getEndpoint('reviews', options, {}, wrapperOptions);
     }
 
     /**
@@ -193,10 +237,23 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    getLists(options, wrapperOptions) {
+        return this.getEndpoint('lists', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the streaming, rental and purchase providers of a movie by region (powered by JustWatch).
+     * @see https://developers.themoviedb.org/3/movies/get-movie-watch-providers
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getLists(options) {
-        return this.getEndpoint('lists', options);
+    getWatchProviders(options, wrapperOptions) {
+        return this.getEndpoint('watch_providers', options, {}, wrapperOptions);
     }
 
     /**
@@ -206,25 +263,26 @@ export class Movie extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.guest_session_id] Guest session ID
      * @param {string} [options.session_id] Session ID
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getAccountStates(options) {
-        return this.getEndpoint('account_states', options);
+    getAccountStates(options, wrapperOptions) {
+        return this.getEndpoint('account_states', options, {}, wrapperOptions);
     }
 
     /**
      * Rates a movie.
      * @see https://developers.themoviedb.org/3/movies/rate-movie
      *
+     * @param {Object|number} content Request content or rating value
+     * @param {number} content.value Rating value between 0.5 and 10 in steps of 0.5
      * @param {Object} [options] Request options
      * @param {string} [options.guest_session_id] Guest session ID
      * @param {string} [options.session_id] Session ID
-     * @param {Object} [content] Request content
-     * @param {number} [content.value] Rating value between 0.5 and 10
      * @returns {Promise<Object>}
      */
-    addRating(options, content) {
-        return this.updateEndpoint('POST', 'rating', options, content);
+    addRating(content, options) {
+        return this._addRating(content, options);
     }
 
     /**
@@ -265,10 +323,11 @@ export class MovieMore extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getLatest(options) {
-        return this.getEndpoint('latest', options);
+    getLatest(options, wrapperOptions) {
+        return this.getEndpoint('latest', options, {}, wrapperOptions);
     }
 
     /**
@@ -279,10 +338,11 @@ export class MovieMore extends Resource {
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.region] ISO 3166-1 value to filter results by region
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getNowPlaying(options) {
-        return this.getEndpoint('now_playing', options);
+    getNowPlaying(options, wrapperOptions) {
+        return this.getEndpoint('now_playing', options, {}, wrapperOptions);
     }
 
     /**
@@ -293,10 +353,11 @@ export class MovieMore extends Resource {
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.region] ISO 3166-1 value to filter results by region
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getPopular(options) {
-        return this.getEndpoint('popular', options);
+    getPopular(options, wrapperOptions) {
+        return this.getEndpoint('popular', options, {}, wrapperOptions);
     }
 
     /**
@@ -307,10 +368,11 @@ export class MovieMore extends Resource {
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.region] ISO 3166-1 value to filter results by region
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getTopRated(options) {
-        return this.getEndpoint('top_rated', options);
+    getTopRated(options, wrapperOptions) {
+        return this.getEndpoint('top_rated', options, {}, wrapperOptions);
     }
 
     /**
@@ -321,9 +383,10 @@ export class MovieMore extends Resource {
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.region] ISO 3166-1 value to filter results by region
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    getUpcoming(options) {
-        return this.getEndpoint('upcoming', options);
+    getUpcoming(options, wrapperOptions) {
+        return this.getEndpoint('upcoming', options, {}, wrapperOptions);
     }
 }
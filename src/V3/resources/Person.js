@@ -29,10 +29,11 @@ export class Person extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.append_to_response] Request multiple endpoints at the same time (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getDetails(options) {
-        return this.getEndpoint('details', options);
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
     }
 
     /**
@@ -45,10 +46,11 @@ export class Person extends Resource {
      * @param {string} [options.start_date] Filter results by start date
      * @param {string} [options.end_date] Filter results by end date
      * @param {number} [options.page] Query results by page number
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getChanges(options) {
-        return this.getEndpoint('changes', options);
+    async getChanges(options, wrapperOptions) {
+        return this.getEndpoint('changes', options, {}, wrapperOptions);
     }
 
     /**
@@ -57,10 +59,11 @@ export class Person extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getMovieCredits(options) {
-        return this.getEndpoint('movie_credits', options);
+    async getMovieCredits(options, wrapperOptions) {
+        return this.getEndpoint('movie_credits', options, {}, wrapperOptions);
     }
 
     /**
@@ -69,10 +72,11 @@ export class Person extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<{PersonEndpoint}>}
      */
-    async getTVCredits(options) {
-        return this.getEndpoint('tv_credits', options);
+    async getTVCredits(options, wrapperOptions) {
+        return this.getEndpoint('tv_credits', options, {}, wrapperOptions);
     }
 
     /**
@@ -81,10 +85,11 @@ export class Person extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getCombinedCredits(options) {
-        return this.getEndpoint('combined_credits', options);
+    async getCombinedCredits(options, wrapperOptions) {
+        return this.getEndpoint('combined_credits', options, {}, wrapperOptions);
     }
 
     /**
@@ -96,10 +101,11 @@ export class Person extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getExternalIds(options) {
-        return this.getEndpoint('external_ids', options);
+    async getExternalIds(options, wrapperOptions) {
+        return this.getEndpoint('external_ids', options, {}, wrapperOptions);
     }
 
     /**
@@ -109,10 +115,11 @@ export class Person extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.include_image_language] Fallbacks for language option (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getImages(options) {
-        return this.getEndpoint('images', options);
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
     }
 
     /**
@@ -122,10 +129,11 @@ export class Person extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Query results by page number
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getTaggedImages(options) {
-        return this.getEndpoint('tagged_images', options);
+    async getTaggedImages(options, wrapperOptions) {
+        return this.getEndpoint('tagged_images', options, {}, wrapperOptions);
     }
 
     /**
@@ -134,10 +142,11 @@ export class Person extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getTranslations(options) {
-        return this.getEndpoint('translations', options);
+    async getTranslations(options, wrapperOptions) {
+        return this.getEndpoint('translations', options, {}, wrapperOptions);
     }
 }
 
@@ -165,10 +174,11 @@ export class PersonMore extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getLatest(options) {
-        return this.getEndpoint('latest', options);
+    async getLatest(options, wrapperOptions) {
+        return this.getEndpoint('latest', options, {}, wrapperOptions);
     }
 
     /**
@@ -178,9 +188,10 @@ export class PersonMore extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Query results by page number
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getPopular(options) {
-        return this.getEndpoint('popular', options);
+    async getPopular(options, wrapperOptions) {
+        return this.getEndpoint('popular', options, {}, wrapperOptions);
     }
 }
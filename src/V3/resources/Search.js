@@ -1,5 +1,8 @@
 import Resource from '../structures/Resource';
-import ResponseError from '../structures/ResponseError';
+import QueryResolver from '../structures/QueryResolver';
+import { NotFoundError, ValidationError } from '../structures/ResponseError';
+import { Movie } from './Movie';
+import { TV } from './TV';
 
 import { basePath, endpoints } from '../endpoints/search';
 
@@ -24,7 +27,28 @@ export default class Search extends Resource {
             movie_results: this.getMovies,
             tv_results: this.getTVShows,
             person_results: this.getPeople,
+            collection_results: this.getCollections,
         };
+
+        this._yearOptions = {
+            movie_results: 'year',
+            tv_results: 'first_air_date_year',
+        };
+
+        this._mediaTypes = {
+            movie_results: 'movie',
+            tv_results: 'tv',
+            person_results: 'person',
+            collection_results: 'collection',
+        };
+
+        this._titleResources = {
+            movie_results: Movie,
+            tv_results: TV,
+        };
+
+        this._resolver = new QueryResolver();
+        this._alternativeTitlesLimit = 5;
     }
 
     /**
@@ -43,23 +67,174 @@ export default class Search extends Resource {
         }
     }
 
+    /**
+     * Gets the alternative titles of search results. Failed requests are ignored.
+     *
+     * @param {Array<Object>} results Search results
+     * @param {string} type Media type
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Map<number, Array<string>>>} Alternative titles by TMDb ID
+     */
+    async _getAlternativeTitles(results, type, wrapperOptions) {
+        const TitleResource = this._titleResources[type];
+        const alternativeTitles = new Map();
+
+        if (!TitleResource) return alternativeTitles;
+
+        await Promise.all(
+            results.map(async ({ id }) => {
+                const resource = new TitleResource(
+                    this._version,
+                    this._apiOptions,
+                    this._wrapperOptions,
+                    id
+                );
+
+                try {
+                    const data = await resource.getAlternativeTitles({}, wrapperOptions);
+                    const titles = data.titles || data.results || [];
+
+                    alternativeTitles.set(
+                        id,
+                        titles.map((item) => item.title)
+                    );
+                } catch (error) {
+                    alternativeTitles.set(id, []);
+                }
+            })
+        );
+
+        return alternativeTitles;
+    }
+
+    /**
+     * Searches a query and ranks the results by title similarity, popularity and vote count.
+     *
+     * A trailing year (e.g. "Dune 2021") or year hint (e.g. "Dune (y:2021)") filters the results
+     * by year. Queries with a trailing year are searched again without the year filter if there
+     * are no results (e.g. "Wonder Woman 1984"). The alternative titles of the top results are
+     * compared if there is no exact title match.
+     *
+     * @param {string} query Query
+     * @param {string} [type] Media type (movie_results, tv_results, person_results or collection_results)
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Top result, confidence (0 to 1) and alternative results
+     */
+    async resolve(query, type = 'movie_results', options = {}, wrapperOptions) {
+        const resource = this._getResourceFromType(type);
+
+        if (!resource) return Promise.reject(new ValidationError('Invalid media type.'));
+        if (!query) return Promise.reject(new ValidationError('Query required.'));
+
+        const requestWrapperOptions = { ...wrapperOptions, results_per_page: 20 };
+        const yearOption = this._yearOptions[type];
+
+        let parsed = this._resolver.parse(query);
+
+        if (!yearOption && !parsed.hint) parsed = { title: String(query).trim(), year: null };
+
+        try {
+            const requestOptions = { ...options, query: parsed.title };
+
+            if (parsed.year && yearOption) requestOptions[yearOption] = parsed.year;
+
+            let { results } = await resource(requestOptions, requestWrapperOptions);
+
+            if (results.length === 0 && parsed.year && !parsed.hint) {
+                parsed = { title: String(query).trim(), year: null, hint: false };
+
+                ({ results } = await resource(
+                    { ...options, query: parsed.title },
+                    requestWrapperOptions
+                ));
+            }
+
+            if (results.length === 0) return Promise.reject(new NotFoundError('No results.'));
+
+            let ranked = this._resolver.rank(results, parsed);
+
+            if (ranked[0].similarity < 1 && this._titleResources[type]) {
+                const alternativeTitles = await this._getAlternativeTitles(
+                    ranked.slice(0, this._alternativeTitlesLimit).map(({ result }) => result),
+                    type,
+                    wrapperOptions
+                );
+
+                ranked = this._resolver.rank(results, parsed, alternativeTitles);
+            }
+
+            return {
+                result: ranked[0].result,
+                confidence: this._resolver.getConfidence(ranked),
+                alternatives: ranked.slice(1).map(({ result }) => result),
+            };
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Gets the summary of a result for candidate lists.
+     *
+     * @param {Object} result Search, find or details result
+     * @param {string} type Media type
+     * @returns {Object} TMDb ID, media type, title, original title, year and known for titles
+     */
+    _getSummary(result, type) {
+        const date = result.release_date || result.first_air_date;
+
+        return {
+            id: result.id,
+            media_type: this._mediaTypes[type],
+            title: result.title || result.name,
+            original_title: result.original_title || result.original_name || null,
+            year: date ? Number(date.slice(0, 4)) : null,
+            known_for: (result.known_for || []).map((item) => item.title || item.name),
+        };
+    }
+
+    /**
+     * Gets the candidates for a query ranked by the query resolver.
+     *
+     * @param {string} query Query
+     * @param {string} [type] Media type (movie_results, tv_results, person_results or collection_results)
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>} Confidence (0 to 1) of the first candidate and candidate summaries
+     */
+    async getCandidates(query, type = 'movie_results', options, wrapperOptions) {
+        try {
+            const { result, confidence, alternatives } = await this.resolve(
+                query,
+                type,
+                options,
+                wrapperOptions
+            );
+
+            return {
+                confidence,
+                candidates: [result, ...alternatives].map((item) => this._getSummary(item, type)),
+            };
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
     /**
      * Gets the TMDb ID from a query.
      *
      * @param {string} query Query
      * @param {string} type Media type
      * @param {Object} options API options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<number>}
      */
-    async _getIdFromQuery(query, type, options) {
-        const resource = this._getResourceFromType(type);
-
+    async _getIdFromQuery(query, type, options, wrapperOptions) {
         try {
-            const response = await resource({ ...options, query });
-            if (response.total_results === 0)
-                return Promise.reject(new ResponseError('No results.'));
+            const { result } = await this.resolve(query, type, options, wrapperOptions);
 
-            return response.results[0].id;
+            return result.id;
         } catch (error) {
             return Promise.reject(error);
         }
@@ -75,10 +250,54 @@ export default class Search extends Resource {
      * @param {string} [options.query] Query value
      * @param {number} [options.page] Query results by page number
      * @param {boolean} [options.include_adult] Include adult (pornography) content?
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCombinedResults(options, wrapperOptions) {
+        return this.getEndpoint('multi', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets multiple results for companies.
+     * @see https://developers.themoviedb.org/3/search/search-companies
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.query] Search query
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCompanies(options, wrapperOptions) {
+        return this.getEndpoint('company', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets multiple results for collections.
+     * @see https://developers.themoviedb.org/3/search/search-collections
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.query] Search query
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCollections(options, wrapperOptions) {
+        return this.getEndpoint('collection', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets multiple results for keywords.
+     * @see https://developers.themoviedb.org/3/search/search-keywords
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.query] Search query
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getCombinedResults(options) {
-        return this.getEndpoint('multi', options);
+    async getKeywords(options, wrapperOptions) {
+        return this.getEndpoint('keyword', options, {}, wrapperOptions);
     }
 
     /**
@@ -93,10 +312,11 @@ export default class Search extends Resource {
      * @param {number} [options.year] Filter results by year
      * @param {number} [options.primary_release_year] Filter results by primary release year
      * @param {boolean} [options.include_adult] Include adult (pornography) content?
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getMovies(options) {
-        return this.getEndpoint('movie', options);
+    async getMovies(options, wrapperOptions) {
+        return this.getEndpoint('movie', options, {}, wrapperOptions);
     }
 
     /**
@@ -109,10 +329,11 @@ export default class Search extends Resource {
      * @param {string} [options.query] Search query
      * @param {number} [options.page] Filter results by page
      * @param {boolean} [options.include_adult] Include adult (pornography) content?
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getPeople(options) {
-        return this.getEndpoint('person', options);
+    async getPeople(options, wrapperOptions) {
+        return this.getEndpoint('person', options, {}, wrapperOptions);
     }
 
     /**
@@ -124,11 +345,12 @@ export default class Search extends Resource {
      * @param {string} [options.region] ISO 3166-1 value to filter release dates
      * @param {string} [options.query] Search query
      * @param {number} [options.page] Filter results by page
-     * @param {number} [options.firt_air_date] Filter results by first air date
+     * @param {number} [options.first_air_date_year] Filter results by first air date year
      * @param {boolean} [options.include_adult] Include adult (pornography) content?
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getTVShows(options) {
-        return this.getEndpoint('tv', options);
+    async getTVShows(options, wrapperOptions) {
+        return this.getEndpoint('tv', options, {}, wrapperOptions);
     }
 }
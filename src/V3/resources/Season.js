@@ -0,0 +1,128 @@
+import Resource from '../structures/Resource';
+import Episode from './Episode';
+
+import { basePath, endpoints } from '../endpoints/season';
+
+/**
+ * Endpoints for the TV season resource.
+ * @see https://developers.themoviedb.org/3/tv-seasons
+ *
+ * @prop {number} id TMDb ID of the TV show
+ * @prop {number} season Season number
+ * @extends {Resource}
+ */
+export default class Season extends Resource {
+    /**
+     * Creates an instance of Season.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} id TMDb ID of the TV show
+     * @param {number} season Season number
+     */
+    constructor(version, apiOptions, wrapperOptions, id, season) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id, season });
+    }
+
+    /**
+     * Gets the endpoints for an episode of this season.
+     *
+     * @param {number} episode Episode number
+     * @returns {Episode}
+     */
+    getEpisode(episode) {
+        const { id, season } = this._params;
+
+        return new Episode(
+            this._version,
+            this._apiOptions,
+            this._wrapperOptions,
+            id,
+            season,
+            episode
+        );
+    }
+
+    /**
+     * Gets the primary information about a TV season.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-details
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.append_to_response] Request multiple endpoints at the same time (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the credits (cast and crew) for a TV season.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-credits
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCredits(options, wrapperOptions) {
+        return this.getEndpoint('credits', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the external IDs for a TV season.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-external-ids
+     *
+     * Supported media databases: TVDB ID, Freebase MID, Freebase ID, TVRage ID.
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getExternalIds(options, wrapperOptions) {
+        return this.getEndpoint('external_ids', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the images (posters) that belong to a TV season.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-images
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the videos that have been added to a TV season.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-videos
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getVideos(options, wrapperOptions) {
+        return this.getEndpoint('videos', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the account states of all episodes in a TV season for a session.
+     * @see https://developers.themoviedb.org/3/tv-seasons/get-tv-season-account-states
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.guest_session_id] Guest session ID
+     * @param {string} [options.session_id] Session ID
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getAccountStates(options, wrapperOptions) {
+        return this.getEndpoint('account_states', options, {}, wrapperOptions);
+    }
+}
@@ -1,4 +1,6 @@
 import Resource from '../structures/Resource';
+import Season from './Season';
+import Episode from './Episode';
 
 import { basePath, endpoints } from '../endpoints/tv';
 
@@ -22,6 +24,38 @@ export class TV extends Resource {
         super(version, apiOptions, wrapperOptions, basePath, endpoints.media, { id });
     }
 
+    /**
+     * Gets the endpoints for a season of this TV show.
+     *
+     * @param {number} season Season number
+     * @returns {Season}
+     */
+    getSeason(season) {
+        const { id } = this._params;
+
+        return new Season(this._version, this._apiOptions, this._wrapperOptions, id, season);
+    }
+
+    /**
+     * Gets the endpoints for an episode of this TV show.
+     *
+     * @param {number} season Season number
+     * @param {number} episode Episode number
+     * @returns {Episode}
+     */
+    getEpisode(season, episode) {
+        const { id } = this._params;
+
+        return new Episode(
+            this._version,
+            this._apiOptions,
+            this._wrapperOptions,
+            id,
+            season,
+            episode
+        );
+    }
+
     /**
      * Gets the primary information about a TV show.
      * @see https://developers.themoviedb.org/3/tv/get-tv-details
@@ -29,10 +63,11 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {string} [options.append_to_response] Request multiple endpoints at the same time (comma separated)
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getDetails(options) {
-        return this.getEndpoint('details', options);
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
     }
 
     /**
@@ -42,10 +77,11 @@ export class TV extends Resource {
      * @see https://developers.themoviedb.org/3/tv/get-tv-alternative-titles
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getAlternativeTitles(options) {
-        return this.getEndpoint('alternative_titles', options);
+    async getAlternativeTitles(options, wrapperOptions) {
+        return this.getEndpoint('alternative_titles', options, {}, wrapperOptions);
     }
 
     /**
@@ -56,10 +92,11 @@ export class TV extends Resource {
      * @param {string} [options.start_date] Filter results by start date
      * @param {string} [options.end_date] Filter results by end date
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getChanges(options) {
-        return this.getEndpoint('changes', options);
+    async getChanges(options, wrapperOptions) {
+        return this.getEndpoint('changes', options, {}, wrapperOptions);
     }
 
     /**
@@ -68,10 +105,11 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getContentRatings(options) {
-        return this.getEndpoint('content_ratings', options);
+    async getContentRatings(options, wrapperOptions) {
+        return this.getEndpoint('content_ratings', options, {}, wrapperOptions);
     }
 
     /**
@@ -80,10 +118,11 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getCredits(options) {
-        return this.getEndpoint('credits', options);
+    async getCredits(options, wrapperOptions) {
+        return this.getEndpoint('credits', options, {}, wrapperOptions);
     }
 
     /**
@@ -92,10 +131,11 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getEpisodeGroups(options) {
-        return this.getEndpoint('episode_groups', options);
+    async getEpisodeGroups(options, wrapperOptions) {
+        return this.getEndpoint('episode_groups', options, {}, wrapperOptions);
     }
 
     /**
@@ -109,10 +149,11 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getExternalIds(options) {
-        return this.getEndpoint('external_ids', options);
+    async getExternalIds(options, wrapperOptions) {
+        return this.getEndpoint('external_ids', options, {}, wrapperOptions);
     }
 
     /**
@@ -123,10 +164,11 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getImages(options) {
-        return this.getEndpoint('images', options);
+    async getImages(options, wrapperOptions) {
+        return this.getEndpoint('images', options, {}, wrapperOptions);
     }
 
     /**
@@ -134,10 +176,11 @@ export class TV extends Resource {
      * @see https://developers.themoviedb.org/3/tv/get-tv-keywords
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getKeywords(options) {
-        return this.getEndpoint('keywords', options);
+    async getKeywords(options, wrapperOptions) {
+        return this.getEndpoint('keywords', options, {}, wrapperOptions);
     }
 
     /**
@@ -147,10 +190,11 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getRecommendations(options) {
-        return this.getEndpoint('recommendations', options);
+    async getRecommendations(options, wrapperOptions) {
+        return this.getEndpoint('recommendations', options, {}, wrapperOptions);
     }
 
     /**
@@ -160,10 +204,11 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getReviews(options) {
-        return this.getEndpoint('reviews', options);
+    async getReviews(options, wrapperOptions) {
+        return this.getEndpoint('reviews', options, {}, wrapperOptions);
     }
 
     /**
@@ -173,10 +218,11 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getScreenedTheatrically(options) {
-        return this.getEndpoint('screen_theatrically', options);
+    async getScreenedTheatrically(options, wrapperOptions) {
+        return this.getEndpoint('screen_theatrically', options, {}, wrapperOptions);
     }
 
     /**
@@ -186,10 +232,11 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getSimilar(options) {
-        return this.getEndpoint('similar', options);
+    async getSimilar(options, wrapperOptions) {
+        return this.getEndpoint('similar', options, {}, wrapperOptions);
     }
 
     /**
@@ -197,10 +244,11 @@ export class TV extends Resource {
      * @see https://developers.themoviedb.org/3/tv/get-tv-translations
      *
      * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getTranslations(options) {
-        return this.getEndpoint('translations', options);
+    async getTranslations(options, wrapperOptions) {
+        return this.getEndpoint('translations', options, {}, wrapperOptions);
     }
 
     /**
@@ -209,10 +257,23 @@ export class TV extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getVideos(options, wrapperOptions) {
+        return this.getEndpoint('videos', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the streaming, rental and purchase providers of a TV show by region (powered by JustWatch).
+     * @see https://developers.themoviedb.org/3/tv/get-tv-watch-providers
+     *
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getVideos(options) {
-        return this.getEndpoint('videos', options);
+    async getWatchProviders(options, wrapperOptions) {
+        return this.getEndpoint('watch_providers', options, {}, wrapperOptions);
     }
 
     /**
@@ -222,30 +283,31 @@ export class TV extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.guest_session_id] Guest session ID
      * @param {string} [options.session_id] Session ID
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getAccountStates(options) {
-        return this.getEndpoint('account_states', options);
+    async getAccountStates(options, wrapperOptions) {
+        return this.getEndpoint('account_states', options, {}, wrapperOptions);
     }
 
     /**
      * Rates a TV show.
      * @see https://developers.themoviedb.org/3/tv/rate-tv-show
      *
+     * @param {Object|number} content Request content or rating value
+     * @param {number} content.value Rating value between 0.5 and 10 in steps of 0.5
      * @param {Object} [options] Request options
      * @param {string} [options.guest_session_id] Guest session ID
      * @param {string} [options.session_id] Session ID
-     * @param {Object} [content] Request content
-     * @param {number} [content.value] Rating value between 0.5 and 10
      * @returns {Promise<Object>}
      */
     async addRating(content, options) {
-        return this.updateEndpoint('rating', options, content);
+        return this._addRating(content, options);
     }
 
     /**
      * Removes a rating for a TV show.
-     * @see https://developers.themoviedb.org/3/tv/rate-tv-show
+     * @see https://developers.themoviedb.org/3/tv/delete-tv-show-rating
      *
      * @param {Object} [options] Request options
      * @param {string} [options.guest_session_id] Guest session ID
@@ -253,7 +315,7 @@ export class TV extends Resource {
      * @returns {Promise<Object>}
      */
     async removeRating(options) {
-        return this.deleteEndpoint('rating', options);
+        return this.updateEndpoint('DELETE', 'rating', options);
     }
 }
 
@@ -281,10 +343,11 @@ export class TVMore extends Resource {
      *
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getLatest(options) {
-        return this.getEndpoint('latest', options);
+    async getLatest(options, wrapperOptions) {
+        return this.getEndpoint('latest', options, {}, wrapperOptions);
     }
 
     /**
@@ -296,10 +359,11 @@ export class TVMore extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getAiringToday(options) {
-        return this.getEndpoint('airing_today', options);
+    async getAiringToday(options, wrapperOptions) {
+        return this.getEndpoint('airing_today', options, {}, wrapperOptions);
     }
 
     /**
@@ -309,10 +373,11 @@ export class TVMore extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getOnTheAir(options) {
-        return this.getEndpoint('on_the_air', options);
+    async getOnTheAir(options, wrapperOptions) {
+        return this.getEndpoint('on_the_air', options, {}, wrapperOptions);
     }
 
     /**
@@ -322,10 +387,11 @@ export class TVMore extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getPopular(options) {
-        return this.getEndpoint('popular', options);
+    async getPopular(options, wrapperOptions) {
+        return this.getEndpoint('popular', options, {}, wrapperOptions);
     }
 
     /**
@@ -335,9 +401,10 @@ export class TVMore extends Resource {
      * @param {Object} [options] Request options
      * @param {string} [options.language] ISO 639-1 value to get translated data
      * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
      * @returns {Promise<Object>}
      */
-    async getTopRated(options) {
-        return this.getEndpoint('top_rated', options);
+    async getTopRated(options, wrapperOptions) {
+        return this.getEndpoint('top_rated', options, {}, wrapperOptions);
     }
 }
@@ -0,0 +1,100 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/trending';
+
+/**
+ * Endpoints for the Trending resource.
+ * @see https://developers.themoviedb.org/3/trending
+ *
+ * @extends {Resource}
+ */
+export default class Trending extends Resource {
+    /**
+     * Creates an instance of Trending.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+
+        this._timeWindows = ['day', 'week'];
+    }
+
+    /**
+     * Gets the trending items for a media type.
+     * @see https://developers.themoviedb.org/3/trending/get-trending
+     *
+     * @param {string} mediaType Media type (all, movie, tv or person)
+     * @param {string} [timeWindow] Time window (day or week)
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTrending(mediaType, timeWindow = 'day', options, wrapperOptions) {
+        if (!this._timeWindows.includes(timeWindow)) {
+            return Promise.reject(new ValidationError('Invalid time window.'));
+        }
+
+        return this.getEndpoint(mediaType, options, { timeWindow }, wrapperOptions);
+    }
+
+    /**
+     * Gets the trending movies, TV shows and people.
+     * @see https://developers.themoviedb.org/3/trending/get-trending
+     *
+     * @param {string} [timeWindow] Time window (day or week)
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getAll(timeWindow, options, wrapperOptions) {
+        return this.getTrending('all', timeWindow, options, wrapperOptions);
+    }
+
+    /**
+     * Gets the trending movies.
+     * @see https://developers.themoviedb.org/3/trending/get-trending
+     *
+     * @param {string} [timeWindow] Time window (day or week)
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovies(timeWindow, options, wrapperOptions) {
+        return this.getTrending('movie', timeWindow, options, wrapperOptions);
+    }
+
+    /**
+     * Gets the trending TV shows.
+     * @see https://developers.themoviedb.org/3/trending/get-trending
+     *
+     * @param {string} [timeWindow] Time window (day or week)
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVShows(timeWindow, options, wrapperOptions) {
+        return this.getTrending('tv', timeWindow, options, wrapperOptions);
+    }
+
+    /**
+     * Gets the trending people.
+     * @see https://developers.themoviedb.org/3/trending/get-trending
+     *
+     * @param {string} [timeWindow] Time window (day or week)
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getPeople(timeWindow, options, wrapperOptions) {
+        return this.getTrending('person', timeWindow, options, wrapperOptions);
+    }
+}
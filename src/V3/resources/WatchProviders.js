@@ -0,0 +1,86 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/watch_providers';
+
+/**
+ * Endpoints for the WatchProviders resource.
+ * @see https://developers.themoviedb.org/3/watch-providers
+ *
+ * @extends {Resource}
+ */
+export default class WatchProviders extends Resource {
+    /**
+     * Creates an instance of WatchProviders.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+    }
+
+    /**
+     * Gets the regions that have watch provider data.
+     * @see https://developers.themoviedb.org/3/watch-providers/get-available-regions
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRegions(options, wrapperOptions) {
+        return this.getEndpoint('regions', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the watch providers of movies.
+     * @see https://developers.themoviedb.org/3/watch-providers/get-movie-providers
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.watch_region] ISO 3166-1 value to filter providers
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovieProviders(options, wrapperOptions) {
+        return this.getEndpoint('movie', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets the watch providers of TV shows.
+     * @see https://developers.themoviedb.org/3/watch-providers/get-tv-providers
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.watch_region] ISO 3166-1 value to filter providers
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVProviders(options, wrapperOptions) {
+        return this.getEndpoint('tv', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Filters the watch providers of a movie or TV show to a single region.
+     *
+     * @param {Object} data Response data from Movie.getWatchProviders or TV.getWatchProviders (or
+     * the appended watch_providers data)
+     * @param {string} [region] ISO 3166-1 value (defaults to the region API option)
+     * @returns {Object} Watch providers of the region (link, flatrate, rent, buy) or null. The
+     * TMDb ID is added if the data has one.
+     */
+    filterRegion(data, region = this._apiOptions.region) {
+        if (!region) throw new ValidationError('Region required.');
+        if (!data || !data.results) throw new ValidationError('Invalid watch providers data.');
+
+        const providers = data.results[region];
+
+        if (!providers) return null;
+
+        return data.id !== undefined
+            ? { id: data.id, region, ...providers }
+            : { region, ...providers };
+    }
+}
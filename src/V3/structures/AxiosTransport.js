@@ -0,0 +1,30 @@
+import axios from 'axios';
+
+/**
+ * Default transport sending requests with axios.
+ *
+ * A transport is any object with a request method. The method gets the request config (method,
+ * url, params, data and headers) and returns a promise resolving to the response (status, headers
+ * and data). Failed requests reject with an error with a "response" (the server responded) or
+ * "request" (no response received) value, like axios errors.
+ */
+export default class AxiosTransport {
+    /**
+     * Creates an instance of AxiosTransport.
+     *
+     * @param {Object} [config] Default axios request config (e.g. timeout or proxy)
+     */
+    constructor(config = {}) {
+        this._config = config;
+    }
+
+    /**
+     * Sends a request.
+     *
+     * @param {Object} config Request config
+     * @returns {Promise<Object>} Response
+     */
+    request(config) {
+        return axios({ ...this._config, ...config });
+    }
+}
@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+
+import AxiosTransport from './AxiosTransport';
+import MockTransport from './MockTransport';
+
+/**
+ * Transport recording requests to a fixture file or replaying them from it.
+ *
+ * In record mode, requests are sent with another transport and every response (errors included) is
+ * saved to the file with the request body. API keys, session IDs, access tokens, usernames and
+ * passwords are scrubbed from the recordings. In replay mode, responses are served from the file
+ * only. Params and bodies must match exactly and unmatched requests are rejected.
+ *
+ * @example
+ * const mode = process.env.RECORD ? 'record' : 'replay';
+ * const transport = new FixtureTransport('fixtures/movie.json', { mode });
+ *
+ * const client = new V3({ api_key: process.env.API_KEY || 'key' }, { transport, cache: null });
+ *
+ * @prop {string} _file Fixture file path
+ * @prop {string} _mode Mode (record or replay)
+ * @prop {Object} _transport Transport sending the requests in record mode
+ * @prop {Array<string>} _scrubbedParams Request params removed from recordings
+ * @prop {Array<string>} _scrubbedData Request body and response values redacted from recordings
+ * @extends {MockTransport}
+ */
+export default class FixtureTransport extends MockTransport {
+    /**
+     * Creates an instance of FixtureTransport.
+     *
+     * @param {string} file Fixture file path (JSON)
+     * @param {Object} [options] Transport options
+     * @param {string} [options.mode] Mode (record or replay, defaults to replay)
+     * @param {Object} [options.transport] Transport sending the requests in record mode
+     */
+    constructor(file, { mode = 'replay', transport = new AxiosTransport() } = {}) {
+        super([], { exact: true });
+
+        if (mode !== 'record' && mode !== 'replay') throw new Error('Invalid fixture mode.');
+
+        this._file = file;
+        this._mode = mode;
+        this._transport = transport;
+
+        this._scrubbedParams = ['api_key', 'session_id', 'guest_session_id'];
+        this._scrubbedData = [
+            'session_id',
+            'guest_session_id',
+            'access_token',
+            'username',
+            'password',
+        ];
+
+        if (mode === 'replay' || fs.existsSync(file)) {
+            JSON.parse(fs.readFileSync(file, 'utf8')).forEach((fixture) => this.add(fixture));
+        }
+    }
+
+    /**
+     * Removes the scrubbed and null params of a request.
+     *
+     * @param {Object} params Request params
+     * @returns {Object}
+     */
+    _scrubParams(params = {}) {
+        const scrubbed = {};
+
+        Object.keys(params)
+            .filter((name) => !this._scrubbedParams.includes(name))
+            .filter((name) => params[name] !== undefined && params[name] !== null)
+            .sort()
+            .forEach((name) => {
+                scrubbed[name] = params[name];
+            });
+
+        return scrubbed;
+    }
+
+    /**
+     * Redacts the scrubbed values of response data.
+     *
+     * @param {*} data Response data
+     * @returns {*}
+     */
+    _scrubData(data) {
+        if (Array.isArray(data)) return data.map((value) => this._scrubData(value));
+        if (!data || typeof data !== 'object') return data;
+
+        const scrubbed = {};
+
+        Object.keys(data).forEach((name) => {
+            scrubbed[name] = this._scrubbedData.includes(name)
+                ? '[REDACTED]'
+                : this._scrubData(data[name]);
+        });
+
+        return scrubbed;
+    }
+
+    /**
+     * Gets the scrubbed body of a request.
+     *
+     * @param {*} data Request data
+     * @returns {*} Body or null if the request has no body
+     */
+    _scrubBody(data) {
+        return this._scrubData(this._getBody(data));
+    }
+
+    /**
+     * Gets the key of a fixture identifying its request.
+     *
+     * @param {Object} fixture Fixture
+     * @returns {string}
+     */
+    _getFixtureKey({ method, path: _path, params, body }) {
+        return this._serialize([method, _path, params, body]);
+    }
+
+    /**
+     * Records a response. A recording of the same request is replaced.
+     *
+     * @param {Object} config Request config
+     * @param {Object} response Response
+     */
+    _record(config, response) {
+        const fixture = {
+            method: config.method.toUpperCase(),
+            path: this._getPath(config.url),
+            params: this._scrubParams(config.params),
+            body: this._scrubBody(config.data),
+            status: response.status,
+            data: this._scrubData(response.data),
+        };
+
+        const key = this._getFixtureKey(fixture);
+
+        this._fixtures = this._fixtures.filter((item) => this._getFixtureKey(item) !== key);
+
+        this.add(fixture);
+        this.save();
+    }
+
+    /**
+     * Saves the recordings to the fixture file.
+     */
+    save() {
+        const fixtures = this._fixtures.map(({ method, path: _path, params, body, status, data }) =>
+            body === null
+                ? { method, path: _path, params, status, data }
+                : { method, path: _path, params, body, status, data }
+        );
+
+        fs.mkdirSync(path.dirname(this._file), { recursive: true });
+        fs.writeFileSync(this._file, `${JSON.stringify(fixtures, null, 4)}\n`);
+    }
+
+    /**
+     * Sends and records a request (record mode) or replays its response (replay mode).
+     *
+     * @param {Object} config Request config
+     * @returns {Promise<Object>} Response
+     */
+    async request(config) {
+        if (this._mode === 'replay') {
+            return super.request({
+                ...config,
+                params: this._scrubParams(config.params),
+                data: this._scrubBody(config.data),
+            });
+        }
+
+        this.requests.push(config);
+
+        try {
+            const response = await this._transport.request(config);
+
+            this._record(config, response);
+
+            return response;
+        } catch (error) {
+            if (error.response) this._record(config, error.response);
+
+            return Promise.reject(error);
+        }
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * In-memory least recently used (LRU) cache.
+ *
+ * Any object with the same get, set and delete methods can be used as a cache. The methods may
+ * return promises.
+ *
+ * @prop {number} _maxSize Maximum number of entries
+ * @prop {Map<string, Object>} _entries Cache entries in least recently used order
+ */
+export default class MemoryCache {
+    /**
+     * Creates an instance of MemoryCache.
+     *
+     * @param {number} [maxSize] Maximum number of entries
+     */
+    constructor(maxSize = 500) {
+        this._maxSize = maxSize;
+        this._entries = new Map();
+    }
+
+    /**
+     * Gets a value.
+     *
+     * @param {string} key Cache key
+     * @returns {*} Value or undefined if missing or expired
+     */
+    get(key) {
+        const entry = this._entries.get(key);
+
+        if (!entry) return undefined;
+
+        this._entries.delete(key);
+
+        if (entry.expires && entry.expires <= Date.now()) return undefined;
+
+        this._entries.set(key, entry);
+
+        return entry.value;
+    }
+
+    /**
+     * Sets a value.
+     *
+     * @param {string} key Cache key
+     * @param {*} value Value
+     * @param {number} [ttl] Time to live in seconds (no expiry if not set)
+     */
+    set(key, value, ttl) {
+        this._entries.delete(key);
+        this._entries.set(key, { value, expires: ttl ? Date.now() + ttl * 1000 : null });
+
+        while (this._entries.size > this._maxSize) {
+            this._entries.delete(this._entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Deletes a value.
+     *
+     * @param {string} key Cache key
+     */
+    delete(key) {
+        this._entries.delete(key);
+    }
+}
@@ -0,0 +1,226 @@
+import ResponseError from './ResponseError';
+
+/**
+ * Transport replaying fixtures instead of sending requests to the TMDb API.
+ *
+ * A fixture matches a request by method, path (with API version, e.g. "/3/movie/550") and params.
+ * The params of a fixture must all be equal to the request params. Other request params (e.g. the
+ * API key) are ignored unless the exact option is set. The body of a fixture (if set) must be equal
+ * to the request body. Requests with a body only match fixtures without a body if the exact option
+ * is not set. The fixture with a body and the most params wins if several fixtures match.
+ *
+ * @example
+ * const transport = new MockTransport([
+ *     { method: 'GET', path: '/3/movie/550', data: { id: 550, title: 'Fight Club' } },
+ *     { method: 'GET', path: '/3/movie/0', status: 404, data: { status_code: 34 } },
+ *     { method: 'POST', path: '/3/movie/550/rating', body: { value: 8 }, data: { status_code: 1 } },
+ * ]);
+ *
+ * const client = new V3({ api_key: 'key' }, { transport });
+ *
+ * @prop {Array<Object>} _fixtures Fixtures
+ * @prop {boolean} _exact Match the request params exactly?
+ * @prop {Array<Object>} requests Configs of the requests sent to the transport
+ */
+export default class MockTransport {
+    /**
+     * Creates an instance of MockTransport.
+     *
+     * @param {Array<Object>} [fixtures] Fixtures
+     * @param {Object} [options] Transport options
+     * @param {boolean} [options.exact] Match the request params (null params excluded) and body
+     * exactly?
+     */
+    constructor(fixtures = [], { exact = false } = {}) {
+        this._fixtures = [];
+        this._exact = exact;
+
+        this.requests = [];
+
+        fixtures.forEach((fixture) => this.add(fixture));
+    }
+
+    /**
+     * Gets the path of a request URL.
+     *
+     * @param {string} url Request URL
+     * @returns {string}
+     */
+    _getPath(url) {
+        return url.replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/\?.*$/, '');
+    }
+
+    /**
+     * Checks if the params of a fixture are equal to the request params.
+     *
+     * @param {Object} fixtureParams Fixture params
+     * @param {Object} params Request params
+     * @returns {boolean}
+     */
+    _matchParams(fixtureParams, params = {}) {
+        if (this._exact) {
+            const names = Object.keys(params).filter(
+                (name) => params[name] !== undefined && params[name] !== null
+            );
+
+            if (names.length !== Object.keys(fixtureParams).length) return false;
+        }
+
+        return Object.keys(fixtureParams).every(
+            (name) =>
+                params[name] !== undefined &&
+                params[name] !== null &&
+                String(params[name]) === String(fixtureParams[name])
+        );
+    }
+
+    /**
+     * Gets the body of a request. JSON bodies are parsed.
+     *
+     * @param {*} data Request data
+     * @returns {*} Body or null if the request has no body
+     */
+    _getBody(data) {
+        if (data === undefined || data === null || data === '') return null;
+        if (typeof data !== 'string') return data;
+
+        try {
+            return JSON.parse(data);
+        } catch (error) {
+            return data;
+        }
+    }
+
+    /**
+     * Serializes a value to JSON with sorted object keys.
+     *
+     * @param {*} value Value
+     * @returns {string}
+     */
+    _serialize(value) {
+        if (Array.isArray(value))
+            return `[${value.map((item) => this._serialize(item)).join(',')}]`;
+        if (!value || typeof value !== 'object') return JSON.stringify(value);
+
+        const members = Object.keys(value)
+            .filter((name) => value[name] !== undefined)
+            .sort()
+            .map((name) => `${JSON.stringify(name)}:${this._serialize(value[name])}`);
+
+        return `{${members.join(',')}}`;
+    }
+
+    /**
+     * Checks if the body of a fixture is equal to the request body.
+     *
+     * @param {*} fixtureBody Fixture body (null matches any body unless the exact option is set)
+     * @param {*} body Request body
+     * @returns {boolean}
+     */
+    _matchBody(fixtureBody, body) {
+        if (fixtureBody === null) return !this._exact || body === null;
+
+        return this._serialize(fixtureBody) === this._serialize(body);
+    }
+
+    /**
+     * Finds the fixture of a request.
+     *
+     * @param {Object} config Request config
+     * @returns {Object} Fixture or undefined
+     */
+    _findFixture(config) {
+        const method = config.method.toUpperCase();
+        const path = this._getPath(config.url);
+        const body = this._getBody(config.data);
+
+        return this._fixtures
+            .filter(
+                (fixture) =>
+                    fixture.method === method &&
+                    fixture.path === path &&
+                    this._matchParams(fixture.params, config.params) &&
+                    this._matchBody(fixture.body, body)
+            )
+            .sort(
+                (a, b) =>
+                    (b.body !== null) - (a.body !== null) ||
+                    Object.keys(b.params).length - Object.keys(a.params).length
+            )[0];
+    }
+
+    /**
+     * Adds a fixture.
+     *
+     * @param {Object} fixture Fixture
+     * @param {string} [fixture.method] Request method (defaults to GET)
+     * @param {string} fixture.path Request path with API version
+     * @param {Object} [fixture.params] Request params
+     * @param {*} [fixture.body] Request body (e.g. { value: 8 })
+     * @param {number} [fixture.status] Response status (defaults to 200)
+     * @param {Object} [fixture.headers] Response headers
+     * @param {*} [fixture.data] Response data
+     * @returns {MockTransport}
+     */
+    add({
+        method = 'GET',
+        path,
+        params = {},
+        body = null,
+        status = 200,
+        headers = {},
+        data = null,
+    }) {
+        this._fixtures.push({
+            method: method.toUpperCase(),
+            path,
+            params,
+            body,
+            status,
+            headers,
+            data,
+        });
+
+        return this;
+    }
+
+    /**
+     * Replays the response of a request. Responses with an error status are rejected.
+     *
+     * @param {Object} config Request config
+     * @returns {Promise<Object>} Response
+     */
+    async request(config) {
+        this.requests.push(config);
+
+        const fixture = this._findFixture(config);
+
+        if (!fixture) {
+            const path = this._getPath(config.url);
+
+            return Promise.reject(
+                new ResponseError(`No fixture for ${config.method.toUpperCase()} ${path}.`, null, {
+                    path,
+                    params: config.params,
+                    retryable: false,
+                })
+            );
+        }
+
+        const response = {
+            status: fixture.status,
+            headers: { ...fixture.headers },
+            data: JSON.parse(JSON.stringify(fixture.data)),
+        };
+
+        if (response.status >= 400) {
+            const error = new Error(`Request failed with status code ${response.status}.`);
+
+            error.response = response;
+
+            return Promise.reject(error);
+        }
+
+        return response;
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Query resolver ranking search results by title similarity, popularity and vote count.
+ *
+ * Queries can end with a year (e.g. "Dune 2021" or "Dune (2021)") or contain a year hint (e.g.
+ * "Dune (y:2021)"). Trailing years more than a year in the future are part of the title (e.g.
+ * "Blade Runner 2049").
+ *
+ * @prop {RegExp} _yearHint Year hint pattern
+ * @prop {RegExp} _trailingYear Trailing year pattern
+ * @prop {number} _minYear First year with movies
+ * @prop {Object} _weights Score weights
+ */
+export default class QueryResolver {
+    /**
+     * Creates an instance of QueryResolver.
+     */
+    constructor() {
+        this._yearHint = /\(\s*y:\s*(\d{4})\s*\)/i;
+        this._trailingYear = /^(.+?)[\s,]+\(?(\d{4})\)?$/;
+        this._minYear = 1874;
+
+        this._weights = { title: 0.65, popularity: 0.15, votes: 0.15, order: 0.05 };
+    }
+
+    /**
+     * Parses a query.
+     *
+     * @param {string} query Query
+     * @returns {Object} Title, year (or null) and if the year is an explicit hint
+     */
+    parse(query) {
+        const text = String(query).trim();
+        const hint = text.match(this._yearHint);
+
+        if (hint) {
+            const title = text
+                .replace(this._yearHint, ' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+
+            return { title, year: Number(hint[1]), hint: true };
+        }
+
+        const trailing = text.match(this._trailingYear);
+        const year = trailing ? Number(trailing[2]) : null;
+
+        if (year && year >= this._minYear && year <= new Date().getFullYear() + 1) {
+            return { title: trailing[1].trim(), year, hint: false };
+        }
+
+        return { title: text, year: null, hint: false };
+    }
+
+    /**
+     * Normalizes a title for comparison (case, accents, punctuation and whitespace).
+     *
+     * @param {string} title Title
+     * @returns {string}
+     */
+    normalize(title) {
+        return String(title)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/[^\w\s]|_/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Gets the similarity of two titles using the bigrams of their normalized values.
+     *
+     * @param {string} a Title
+     * @param {string} b Title
+     * @returns {number} Similarity between 0 and 1
+     */
+    similarity(a, b) {
+        const x = this.normalize(a);
+        const y = this.normalize(b);
+
+        if (x === y) return 1;
+        if (x.length < 2 || y.length < 2) return 0;
+
+        const bigrams = new Map();
+
+        for (let i = 0; i < x.length - 1; i += 1) {
+            const bigram = x.slice(i, i + 2);
+
+            bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+        }
+
+        let matches = 0;
+
+        for (let i = 0; i < y.length - 1; i += 1) {
+            const bigram = y.slice(i, i + 2);
+            const count = bigrams.get(bigram) || 0;
+
+            if (count > 0) {
+                bigrams.set(bigram, count - 1);
+                matches += 1;
+            }
+        }
+
+        return (2 * matches) / (x.length + y.length - 2);
+    }
+
+    /**
+     * Gets the titles of a result.
+     *
+     * @param {Object} result Search result
+     * @param {Map<number, Array<string>>} alternativeTitles Alternative titles by TMDb ID
+     * @returns {Array<string>}
+     */
+    _getTitles(result, alternativeTitles) {
+        return [
+            result.title,
+            result.original_title,
+            result.name,
+            result.original_name,
+            ...(alternativeTitles.get(result.id) || []),
+        ].filter((title) => typeof title === 'string' && title.length > 0);
+    }
+
+    /**
+     * Ranks search results for a parsed query.
+     *
+     * @param {Array<Object>} results Search results in API order
+     * @param {Object} parsed Parsed query
+     * @param {Map<number, Array<string>>} [alternativeTitles] Alternative titles by TMDb ID
+     * @returns {Array<Object>} Results with scores (result, score and title similarity)
+     */
+    rank(results, parsed, alternativeTitles = new Map()) {
+        const logMax = (name) =>
+            Math.log1p(Math.max(0, ...results.map((result) => result[name] || 0))) || 1;
+
+        const maxPopularity = logMax('popularity');
+        const maxVotes = logMax('vote_count');
+
+        return results
+            .map((result, i) => {
+                const titles = this._getTitles(result, alternativeTitles);
+                const similarity = Math.max(
+                    0,
+                    ...titles.map((title) => this.similarity(parsed.title, title))
+                );
+
+                const score =
+                    this._weights.title * similarity +
+                    this._weights.popularity *
+                        (Math.log1p(result.popularity || 0) / maxPopularity) +
+                    this._weights.votes * (Math.log1p(result.vote_count || 0) / maxVotes) +
+                    this._weights.order * (1 - i / results.length);
+
+                return { result, score, similarity };
+            })
+            .sort((a, b) => b.score - a.score);
+    }
+
+    /**
+     * Gets the confidence of the top ranked result. Close runner-ups lower the confidence.
+     *
+     * @param {Array<Object>} ranked Ranked results
+     * @returns {number} Confidence between 0 and 1
+     */
+    getConfidence(ranked) {
+        if (ranked.length === 0) return 0;
+
+        const [top, second] = ranked;
+        const margin = second ? Math.min(1, 0.5 + (top.score - second.score) * 5) : 1;
+
+        return Math.round(top.similarity * margin * 100) / 100;
+    }
+}
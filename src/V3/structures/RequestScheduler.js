@@ -0,0 +1,194 @@
+/**
+ * Request scheduler with a token bucket rate limit, a concurrency cap and retries.
+ *
+ * Requests rejected with 429 are retried after the "Retry-After" header and pause every scheduled
+ * request. Requests asked to wait longer than the maximum backoff delay are rejected instead. Idempotent requests (GET and HEAD) rejected with 5xx or network errors are retried with
+ * exponential backoff and full jitter. Other requests may have been applied by the server, so
+ * they are never retried on these errors.
+ *
+ * @prop {Object} _rateLimit Rate limit options (null disables rate limiting)
+ * @prop {Object} _retry Retry options (null disables retries)
+ * @prop {number} _tokens Available tokens
+ * @prop {number} _refilledAt Time of the last token refill
+ * @prop {number} _pausedUntil Time until requests are paused
+ * @prop {number} _active Number of active requests
+ * @prop {Array<Function>} _queue Queued requests
+ * @prop {Object} _timer Dequeue timer
+ */
+export default class RequestScheduler {
+    /**
+     * Creates an instance of RequestScheduler.
+     *
+     * @param {Object} [rateLimit] Rate limit options (null disables rate limiting)
+     * @param {number} [rateLimit.requests] Requests allowed per interval (bucket size)
+     * @param {number} [rateLimit.interval] Interval in milliseconds
+     * @param {number} [rateLimit.concurrency] Maximum number of active requests
+     * @param {Object} [retry] Retry options (null disables retries)
+     * @param {number} [retry.retries] Maximum number of retries
+     * @param {number} [retry.delay] Base backoff delay in milliseconds
+     * @param {number} [retry.max_delay] Maximum backoff delay in milliseconds
+     */
+    constructor(rateLimit = {}, retry = {}) {
+        this._rateLimit = rateLimit && {
+            requests: 40,
+            interval: 10000,
+            concurrency: 10,
+            ...rateLimit,
+        };
+        this._retry = retry && { retries: 3, delay: 500, max_delay: 10000, ...retry };
+
+        this._tokens = this._rateLimit ? this._rateLimit.requests : 0;
+        this._refilledAt = Date.now();
+        this._pausedUntil = 0;
+
+        this._active = 0;
+        this._queue = [];
+        this._timer = null;
+    }
+
+    /**
+     * Waits for a delay.
+     *
+     * @param {number} delay Delay in milliseconds
+     * @returns {Promise<void>}
+     */
+    _wait(delay) {
+        return new Promise((resolve) => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Refills the tokens for the elapsed time.
+     *
+     * @param {number} now Current time
+     */
+    _refill(now) {
+        const { requests, interval } = this._rateLimit;
+        const elapsed = now - this._refilledAt;
+
+        this._tokens = Math.min(requests, this._tokens + (elapsed * requests) / interval);
+        this._refilledAt = now;
+    }
+
+    /**
+     * Starts queued requests while tokens and request slots are available.
+     */
+    _dequeue() {
+        if (this._timer) return;
+
+        while (this._queue.length > 0) {
+            if (this._rateLimit) {
+                const { requests, interval, concurrency } = this._rateLimit;
+                const now = Date.now();
+
+                if (this._active >= concurrency) return;
+
+                this._refill(now);
+
+                const tokenDelay =
+                    this._tokens < 1 ? ((1 - this._tokens) * interval) / requests : 0;
+                const delay = Math.max(this._pausedUntil - now, tokenDelay);
+
+                if (delay > 0) {
+                    this._timer = setTimeout(() => {
+                        this._timer = null;
+                        this._dequeue();
+                    }, Math.ceil(delay));
+
+                    return;
+                }
+
+                this._tokens -= 1;
+            }
+
+            this._active += 1;
+            this._queue.shift()();
+        }
+    }
+
+    /**
+     * Waits for a request slot.
+     *
+     * @returns {Promise<void>}
+     */
+    _acquire() {
+        return new Promise((resolve) => {
+            this._queue.push(resolve);
+            this._dequeue();
+        });
+    }
+
+    /**
+     * Releases a request slot.
+     */
+    _release() {
+        this._active -= 1;
+        this._dequeue();
+    }
+
+    /**
+     * Gets the delay before retrying a failed request.
+     *
+     * @param {Object} error Request error
+     * @param {number} attempt Number of the failed attempt (starts at 0)
+     * @param {boolean} idempotent Retry 5xx and network errors?
+     * @returns {number} Delay in milliseconds or null if not retryable
+     */
+    _getRetryDelay(error, attempt, idempotent) {
+        if (!this._retry || attempt >= this._retry.retries) return null;
+
+        const { response } = error;
+
+        if (response && response.status === 429) {
+            const retryAfter = response.headers && response.headers['retry-after'];
+
+            if (retryAfter) {
+                const seconds = Number(retryAfter);
+                const delay = Number.isNaN(seconds)
+                    ? new Date(retryAfter).getTime() - Date.now()
+                    : seconds * 1000;
+
+                if (delay > this._retry.max_delay) return null;
+
+                if (delay >= 0) {
+                    this._pausedUntil = Math.max(this._pausedUntil, Date.now() + delay);
+
+                    return delay;
+                }
+            }
+        } else if (!idempotent || (response ? response.status < 500 : !error.request)) {
+            return null;
+        }
+
+        const { delay, max_delay: maxDelay } = this._retry;
+
+        return Math.random() * Math.min(maxDelay, delay * 2 ** attempt);
+    }
+
+    /**
+     * Schedules a request.
+     *
+     * @param {Function} task Function sending the request and returning a promise
+     * @param {Object} [options] Schedule options
+     * @param {boolean} [options.idempotent] Can the request be sent again safely (defaults to true)?
+     * @returns {Promise<*>}
+     */
+    async schedule(task, { idempotent = true } = {}) {
+        for (let attempt = 0; ; attempt += 1) {
+            let delay;
+
+            await this._acquire();
+
+            try {
+                return await task();
+            } catch (error) {
+                delay = this._getRetryDelay(error, attempt, idempotent);
+
+                if (delay === null) return Promise.reject(error);
+            } finally {
+                this._release();
+            }
+
+            await this._wait(delay);
+        }
+    }
+}
@@ -1,11 +1,18 @@
-import axios from 'axios';
+import { NotFoundError, ValidationError, createRequestError } from './ResponseError';
 
-import ResponseError from './ResponseError';
+/**
+ * Index of the cached keys of each cache with their cache scope, in least recently used order.
+ * The index is kept in process (never in the cache) so parallel requests add their keys without
+ * overwriting each other. Keys are dropped on cache misses and the least recently used keys are
+ * dropped when the index is larger than the cache_index_size wrapper option.
+ *
+ * @type {WeakMap<Object, Map<string, string>>}
+ */
+const cacheIndexes = new WeakMap();
 
 /**
  * Resource structure.
  *
- * @prop {string} _baseUrl API base URL
  * @prop {number} _version API version
  * @prop {Object} _apiOptions API options
  * @prop {Object} _wrapperOptions Wrapper options
@@ -15,6 +22,7 @@ import ResponseError from './ResponseError';
  * @prop {Object} _api Default API values
  * @prop {number} _api.results_per_page API results per page
  * @prop {number} _api.page_limit API page limit
+ * @prop {Map<string, Promise>} _memoized Memoized loaders
  */
 export default class Resource {
     /**
@@ -28,9 +36,10 @@ export default class Resource {
      * @param {Object} [params] Request path params
      * @param {number} [params.id] TMDb ID
      * @param {string} [params.externalId] External ID
+     * @param {number} [params.season] Season number
+     * @param {number} [params.episode] Episode number
      */
     constructor(version, apiOptions, wrapperOptions, basePath, endpoints, params = {}) {
-        this._baseUrl = `https://api.themoviedb.org/`;
         this._version = version;
 
         this._apiOptions = apiOptions;
@@ -42,6 +51,27 @@ export default class Resource {
         this._params = params;
 
         this._api = { page_limit: 500, results_per_page: 20 };
+
+        this._memoized = new Map();
+    }
+
+    /**
+     * Memoizes the promise of a loader. Rejected promises are not memoized.
+     *
+     * @param {string} key Memoization key
+     * @param {Function} loader Function returning a promise
+     * @returns {Promise<*>}
+     */
+    _memoize(key, loader) {
+        if (!this._memoized.has(key)) {
+            const promise = loader();
+
+            this._memoized.set(key, promise);
+
+            promise.catch(() => this._memoized.delete(key));
+        }
+
+        return this._memoized.get(key);
     }
 
     /**
@@ -52,124 +82,358 @@ export default class Resource {
      * @returns {string}
      */
     _createPath(path, params = {}) {
-        return (this._basePath + path)
-            .replace('{id}', params.id || this._params.id)
-            .replace('{externalId}', params.externalId || this._params.externalId);
+        return (this._basePath + path).replace(/{(\w+)}/g, (placeholder, name) =>
+            params[name] !== undefined ? params[name] : this._params[name]
+        );
     }
 
     /**
-     * Sends a request to the TMDb API.
+     * Gets the cache time to live for endpoints.
+     *
+     * @param {...Object} endpoints Endpoints
+     * @returns {number} Shortest time to live in seconds (0 disables caching)
+     */
+    _getCacheTtl(...endpoints) {
+        if (!this._wrapperOptions.cache) return 0;
+
+        const ttls = endpoints.map((endpoint) =>
+            endpoint.ttl !== undefined ? endpoint.ttl : this._wrapperOptions.cache_ttl
+        );
+
+        return Math.min(...ttls) || 0;
+    }
+
+    /**
+     * Gets the cache scope of the resource. Cached responses in a scope are deleted together.
+     *
+     * @returns {string}
+     */
+    _getCacheScope() {
+        const scope = `cache-scope:${this._version}${this._basePath}`;
+
+        return this._params.id !== undefined ? `${scope}/${this._params.id}` : scope;
+    }
+
+    /**
+     * Creates a cache key from a path and the request params (API key excluded).
+     *
+     * @param {string} path Endpoint path
+     * @param {Object} params Request params
+     * @returns {string}
+     */
+    _getCacheKey(path, params) {
+        const query = Object.keys(params)
+            .filter((name) => name !== 'api_key' && params[name] !== null)
+            .filter((name) => params[name] !== undefined)
+            .sort()
+            .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+            .join('&');
+
+        return `${this._version}${path}?${query}`;
+    }
+
+    /**
+     * Gets the index of the cached keys of the cache.
+     *
+     * @returns {Map<string, string>} Cache scopes by cache key
+     */
+    _getCacheIndex() {
+        const { cache } = this._wrapperOptions;
+
+        if (!cacheIndexes.has(cache)) cacheIndexes.set(cache, new Map());
+
+        return cacheIndexes.get(cache);
+    }
+
+    /**
+     * Adds a key to the cache index as the most recently used key. The least recently used keys
+     * are dropped if the index is full.
+     *
+     * @param {string} key Cache key
+     */
+    _indexCacheKey(key) {
+        const index = this._getCacheIndex();
+        const { cache_index_size: indexSize } = this._wrapperOptions;
+
+        index.delete(key);
+        index.set(key, this._getCacheScope());
+
+        while (index.size > indexSize) index.delete(index.keys().next().value);
+    }
+
+    /**
+     * Gets a response from the cache.
+     *
+     * @param {string} key Cache key
+     * @returns {Promise<Object>} Copy of the response or undefined
+     */
+    async _getCached(key) {
+        try {
+            const cached = await this._wrapperOptions.cache.get(key);
+
+            if (!cached) {
+                this._getCacheIndex().delete(key);
+
+                return undefined;
+            }
+
+            this._indexCacheKey(key);
+
+            return JSON.parse(cached);
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Sets a response in the cache and adds the key to the cache index.
+     *
+     * @param {string} key Cache key
+     * @param {Object} response Response data
+     * @param {number} ttl Time to live in seconds
+     * @returns {Promise<void>}
+     */
+    async _setCached(key, response, ttl) {
+        const { cache } = this._wrapperOptions;
+
+        this._indexCacheKey(key);
+
+        try {
+            await cache.set(key, JSON.stringify(response), ttl);
+        } catch (error) {
+            // Caching is optional. The response is still returned.
+        }
+    }
+
+    /**
+     * Deletes the cached responses in the scope of the resource.
+     *
+     * @returns {Promise<void>}
+     */
+    async _invalidateCache() {
+        const { cache } = this._wrapperOptions;
+
+        if (!cache) return;
+
+        const index = this._getCacheIndex();
+        const scope = this._getCacheScope();
+        const keys = [...index.keys()].filter((key) => index.get(key) === scope);
+
+        keys.forEach((key) => index.delete(key));
+
+        try {
+            await Promise.all(keys.map((key) => cache.delete(key)));
+        } catch (error) {
+            // Caching is optional. Stale keys expire with their time to live.
+        }
+    }
+
+    /**
+     * Gets the API base URL of the wrapper options with a trailing slash. The URL is read for every
+     * request, so views with other wrapper options can override it.
+     *
+     * @returns {string}
+     */
+    _getBaseUrl() {
+        return this._wrapperOptions.base_url.replace(/\/?$/, '/');
+    }
+
+    /**
+     * Creates the query params of a request from the API options and request options.
+     *
+     * @param {Object} options API request options
+     * @returns {Object}
+     */
+    _getRequestParams(options) {
+        return { ...this._apiOptions, ...options };
+    }
+
+    /**
+     * Creates the headers of a request.
+     *
+     * @param {Object} headers API request headers
+     * @returns {Object}
+     */
+    _getRequestHeaders(headers) {
+        return { 'Content-Type': 'application/json;charset=utf-8', ...headers };
+    }
+
+    /**
+     * Sends a request to the TMDb API using the transport and request scheduler of the client. GET
+     * requests are cached if a time to live is set. Request content is sent as a JSON body (never
+     * for GET).
      *
      * @param {string} method Request method
      * @param {string} path Endpoint path
      * @param {Object} options Request options
      * @param {Object} content Request content
      * @param {Object} headers Request headers
+     * @param {number} [ttl] Cache time to live in seconds
      * @returns {Promise<Object>}
      */
-    async _request(method, path, options = {}, content = {}, headers = {}) {
-        if (!method) return Promise.reject(new ResponseError('Method required.'));
-        if (!path) return Promise.reject(new ResponseError('Path required.'));
+    async _request(method, path, options = {}, content = {}, headers = {}, ttl = 0) {
+        if (!method) return Promise.reject(new ValidationError('Method required.'));
+        if (!path) return Promise.reject(new ValidationError('Path required.'));
+
+        const params = this._getRequestParams(options);
+        const cacheKey = method === 'GET' && ttl > 0 ? this._getCacheKey(path, params) : null;
+
+        if (cacheKey) {
+            const cached = await this._getCached(cacheKey);
+
+            if (cached) return cached;
+        }
+
+        const config = {
+            method,
+            params,
+            url: this._getBaseUrl() + this._version + path,
+            headers: this._getRequestHeaders(headers),
+        };
+
+        if (method !== 'GET' && content && Object.keys(content).length > 0) {
+            config.data = JSON.stringify(content);
+        }
 
         try {
-            const { data: response } = await axios({
-                method,
-                content,
-                url: this._baseUrl + this._version + path,
-                params: { ...this._apiOptions, ...options },
-                headers: { 'Content-Type': 'application/json;charset=utf-8', ...headers },
-            });
+            const { data: response } = await this._wrapperOptions.scheduler.schedule(
+                () => this._wrapperOptions.transport.request(config),
+                { idempotent: method === 'GET' || method === 'HEAD' }
+            );
+
+            if (cacheKey) await this._setCached(cacheKey, response, ttl);
 
             return response;
         } catch (error) {
-            if (error.response)
-                return Promise.reject(new ResponseError('API error.', error.response.data));
+            return Promise.reject(createRequestError(error, path, params));
+        }
+    }
 
-            if (error.request)
-                return Promise.reject(new ResponseError('Request made but no response received.'));
+    /**
+     * Gets the page number of the request options.
+     *
+     * @param {Object} options API options
+     * @returns {number} Page number (1 if not set)
+     */
+    _getInputPage(options = {}) {
+        if (options.page === undefined || options.page === null) return 1;
 
-            return Promise.reject(new ResponseError('Unknown error when sending request.'));
-        }
+        const page = parseInt(options.page, 10);
+
+        if (!(page >= 1)) throw new ValidationError('Invalid page number.');
+
+        return page;
     }
 
     /**
-     * Mutates API options.
+     * Gets the last page number available with the results per page of the wrapper options.
+     *
+     * @returns {number}
+     */
+    _getPageLimit() {
+        const { page_limit: pageLimit, results_per_page: resultsPerPage } = this._api;
+
+        return Math.floor((pageLimit * resultsPerPage) / this._wrapperOptions.results_per_page);
+    }
+
+    /**
+     * Gets the API pages with the results of the requested page.
      *
      * @param {Object} options API options
-     * @returns {Object}
+     * @returns {Array<number>} API page numbers
      */
-    _mutateOptions(options = {}) {
-        const offsetCount = this._api.results_per_page / this._wrapperOptions.results_per_page;
+    _getRequestPages(options = {}) {
+        const inputPage = this._getInputPage(options);
+
+        if (inputPage > this._getPageLimit()) throw new ValidationError('Page limit exceeded.');
+
+        const { results_per_page: resultsPerPage } = this._wrapperOptions;
+        const offset = (inputPage - 1) * resultsPerPage;
+
+        const firstPage = Math.floor(offset / this._api.results_per_page) + 1;
+        const lastPage = Math.min(
+            Math.floor((offset + resultsPerPage - 1) / this._api.results_per_page) + 1,
+            this._api.page_limit
+        );
 
-        const inputPage = options.page || 1;
-        const requestPage = Math.ceil(inputPage / offsetCount);
+        const pages = [];
 
-        return { ...options, page: requestPage };
+        for (let page = firstPage; page <= lastPage; page += 1) pages.push(page);
+
+        return pages;
     }
 
     /**
-     * Mutates results data.
+     * Mutates API options. The page is replaced with the API page of the first result.
+     *
+     * @param {Object} options API options
+     * @returns {Object}
+     */
+    _mutateOptions(options = {}) {
+        return { ...options, page: this._getRequestPages(options)[0] };
+    }
+
+    /**
+     * Mutates results data. The results may be merged from consecutive API pages.
      *
      * @param {Object} data Response data
      * @param {Object} options API options
      * @returns {Object}
      */
     _mutateResults(data, options = {}) {
-        const offsetCount = this._api.results_per_page / this._wrapperOptions.results_per_page;
+        const { results_per_page: resultsPerPage } = this._wrapperOptions;
 
-        if (offsetCount === 1) return data;
+        if (resultsPerPage === this._api.results_per_page) return data;
 
-        const inputPage = parseInt(options.page, 10) && options.page >= 1 ? options.page : 1;
-        const requestPage = Math.ceil(inputPage / offsetCount);
+        const [requestPage] = this._getRequestPages(options);
 
-        const pageLimit = this._api.pageLimit * offsetCount;
-
-        if (inputPage < 1 || inputPage > pageLimit) {
-            return Promise.reject(new ResponseError('Page limit exceeded.'));
-        }
-
-        const offsetNumber = (inputPage - 1) % offsetCount;
-        const offsetPosition = offsetNumber * this._wrapperOptions.results_per_page;
+        const inputPage = this._getInputPage(options);
+        const offset = (inputPage - 1) * resultsPerPage;
+        const requestOffset = (requestPage - 1) * this._api.results_per_page;
 
         for (let i = 0; i < data.results.length; i += 1) {
-            data.results[i].index = (requestPage - 1) * this._api.results_per_page + i + 1;
+            data.results[i].index = requestOffset + i + 1;
         }
 
-        const totalPages = Math.ceil(data.total_results / this._wrapperOptions.results_per_page);
-        const results = data.results.splice(offsetPosition, this._wrapperOptions.results_per_page);
+        const offsetPosition = offset - requestOffset;
+        const results = data.results.slice(offsetPosition, offsetPosition + resultsPerPage);
+
+        if (results.length === 0) throw new NotFoundError('No results.');
 
-        if (results.length === 0) return Promise.reject(Error('No results.'));
+        const totalPages = Math.ceil(data.total_results / resultsPerPage);
 
         return {
+            ...data,
+
             results,
 
             page: inputPage,
-            total_pages: totalPages,
+            total_pages: Math.min(totalPages, this._getPageLimit()),
             total_results: data.total_results,
         };
     }
 
     /**
-     * Mutates list data.
+     * Mutates list data. Empty lists have no pages.
      *
      * @param {Array<Object>} list List results
      * @param {Object} options API options
      * @returns {Object}
      */
     _mutateList(list, options = {}) {
-        if (list.length === 0) return Promise.reject(Error('No results.'));
+        const { results_per_page: resultsPerPage } = this._wrapperOptions;
 
-        const inputPage = options.page || 1;
-        const totalPages = Math.ceil(list.length / this._wrapperOptions.results_per_page);
+        if (list.length === 0) return { results: [], page: 1, total_pages: 0, total_results: 0 };
 
-        if (inputPage < 1 || inputPage > totalPages) {
-            return Promise.reject(new ResponseError('Invalid page number.'));
-        }
+        const inputPage = this._getInputPage(options);
+        const totalPages = Math.ceil(list.length / resultsPerPage);
+
+        if (inputPage > totalPages) throw new ValidationError('Invalid page number.');
 
         for (let i = 0; i < list.length; i += 1) list[i].index = i + 1;
 
-        const offsetPosition = (inputPage - 1) * this._wrapperOptions.results_per_page;
-        const results = list.slice(offsetPosition, this._wrapperOptions.results_per_page);
+        const offsetPosition = (inputPage - 1) * resultsPerPage;
+        const results = list.slice(offsetPosition, offsetPosition + resultsPerPage);
 
         return {
             results,
@@ -181,7 +445,56 @@ export default class Resource {
     }
 
     /**
-     * Gets an endpoint with results and mutate the data.
+     * Mutates an appended list. Lists shorter than the input page have a page without results
+     * instead of failing the request (appended lists have different lengths).
+     *
+     * @param {Array<Object>} list List results
+     * @param {Object} options API options
+     * @returns {Object}
+     */
+    _mutateAppendedList(list, options = {}) {
+        try {
+            return this._mutateList(list, options);
+        } catch (error) {
+            if (!(error instanceof ValidationError)) throw error;
+
+            return {
+                results: [],
+
+                page: this._getInputPage(options),
+                total_pages: Math.ceil(list.length / this._wrapperOptions.results_per_page),
+                total_results: list.length,
+            };
+        }
+    }
+
+    /**
+     * Mutates the data of an appended endpoint. Empty lists are not mutated.
+     *
+     * @param {Object} endpoint Endpoint
+     * @param {Object} data Appended data
+     * @param {Object} options API options
+     * @returns {Object}
+     */
+    _mutateAppend(endpoint, data, options) {
+        try {
+            if (endpoint.type === 2) return this._mutateResults(data, options);
+
+            if (endpoint.type === 3 && this._wrapperOptions.always_use_results) {
+                return endpoint.mutate(this._mutateAppendedList.bind(this), data, options);
+            }
+
+            return data;
+        } catch (error) {
+            if (error instanceof NotFoundError) return data;
+
+            throw error;
+        }
+    }
+
+    /**
+     * Gets an endpoint with results and mutate the data. The API pages with the results of the
+     * requested page are requested in parallel.
      *
      * @param {string} endpointName Endpoint name
      * @param {Object} options API options
@@ -193,9 +506,18 @@ export default class Resource {
 
         try {
             const path = this._createPath(endpoint.path, params);
-            const mutatedOptions = this._mutateOptions(options);
+            const pages = this._getRequestPages(options);
+
+            const ttl = this._getCacheTtl(endpoint);
+            const responses = await Promise.all(
+                pages.map((page) => this._request('GET', path, { ...options, page }, {}, {}, ttl))
+            );
+
+            const data = {
+                ...responses[0],
 
-            const data = await this._request('GET', path, mutatedOptions);
+                results: [].concat(...responses.map((response) => response.results || [])),
+            };
 
             return this._mutateResults(data, options);
         } catch (error) {
@@ -216,17 +538,63 @@ export default class Resource {
 
         try {
             const path = this._createPath(endpoint.path, params);
-            const data = await this._request('GET', path, options);
+            const ttl = this._getCacheTtl(endpoint);
+            const data = await this._request('GET', path, options, {}, {}, ttl);
 
             return endpoint.mutate(this._mutateList.bind(this), data, options);
         } catch (error) {
-            return Promise.reject(Error(error));
+            return Promise.reject(error);
         }
     }
 
+    /**
+     * Merges appended results with the results of the other API pages of the requested page. Only
+     * the first API page is appended to a response, so the other pages are requested in parallel
+     * from the endpoint itself.
+     *
+     * @param {string} endpointName Endpoint name
+     * @param {Object} data Appended data
+     * @param {Object} options API request options
+     * @param {Object} params Request path params
+     * @returns {Promise<Object>}
+     */
+    async _mergeAppendedResults(endpointName, data, options, params) {
+        const endpoint = this._endpoints[endpointName];
+        const pages = this._getRequestPages(options)
+            .slice(1)
+            .filter((page) => page <= data.total_pages);
+
+        if (pages.length === 0 || !Array.isArray(data.results)) return data;
+
+        const path = this._createPath(endpoint.path, params);
+        const requestOptions = { ...options };
+
+        delete requestOptions.append_to_response;
+
+        const ttl = this._getCacheTtl(endpoint);
+        const responses = await Promise.all(
+            pages.map((page) =>
+                this._request('GET', path, { ...requestOptions, page }, {}, {}, ttl)
+            )
+        );
+
+        return {
+            ...data,
+
+            results: [].concat(
+                data.results,
+                ...responses.map((response) => response.results || [])
+            ),
+        };
+    }
+
     /**
      * Gets an endpoint with appends and mutate the data.
      *
+     * Endpoints with an "append" name (e.g. "watch/providers") are requested with that name and
+     * returned under the endpoint name (e.g. "watch_providers"). Appended results spanning several
+     * API pages are merged like the results of the endpoint.
+     *
      * @param {string} endpointName Endpoint name
      * @param {Object} options API request options
      * @param {Object} params Request path params
@@ -236,31 +604,62 @@ export default class Resource {
         const endpoint = this._endpoints[endpointName];
 
         if (!options.append_to_response) {
-            return this._request('GET', this._createPath(endpoint.path, params), options);
+            const path = this._createPath(endpoint.path, params);
+
+            return this._request('GET', path, options, {}, {}, this._getCacheTtl(endpoint));
         }
 
         const endpointNames = options.append_to_response.split(',');
+        const appendedEndpoints = endpointNames
+            .map((_endpointName) => this._endpoints[_endpointName])
+            .filter((_endpoint) => _endpoint);
+
+        const appendToResponse = endpointNames
+            .map((_endpointName) => {
+                const _endpoint = this._endpoints[_endpointName];
+
+                return _endpoint && _endpoint.append ? _endpoint.append : _endpointName;
+            })
+            .join(',');
 
         try {
             const path = this._createPath(endpoint.path, params);
             const mutatedOptions = options.page ? this._mutateOptions(options) : options;
+            const ttl = this._getCacheTtl(endpoint, ...appendedEndpoints);
 
-            const data = await this._request('GET', path, mutatedOptions);
+            const data = await this._request(
+                'GET',
+                path,
+                { ...mutatedOptions, append_to_response: appendToResponse },
+                {},
+                {},
+                ttl
+            );
 
             for (let i = 0; i < endpointNames.length; i += 1) {
                 const _endpointName = endpointNames[i];
                 const _endpoint = this._endpoints[_endpointName];
 
                 if (_endpoint) {
-                    if (_endpoint.type === 2) {
-                        data[_endpointName] = this._mutateResults(data[_endpointName], options);
+                    if (_endpoint.append && data[_endpoint.append] !== undefined) {
+                        data[_endpointName] = data[_endpoint.append];
+
+                        delete data[_endpoint.append];
                     }
 
-                    if (_endpoint.type === 3 && this._wrapperOptions.always_use_results) {
-                        const mutate = this._mutateList.bind(this);
-                        const _data = data[_endpointName];
+                    if (data[_endpointName] !== undefined) {
+                        let _data = data[_endpointName];
+
+                        if (_endpoint.type === 2 && this._wrapperOptions.results_per_page) {
+                            _data = await this._mergeAppendedResults(
+                                _endpointName,
+                                _data,
+                                options,
+                                params
+                            );
+                        }
 
-                        data[_endpointName] = _endpoint.mutate(mutate, _data, options);
+                        data[_endpointName] = this._mutateAppend(_endpoint, _data, options);
                     }
                 }
             }
@@ -271,19 +670,45 @@ export default class Resource {
         }
     }
 
+    /**
+     * Creates a view of the resource with other wrapper options. The view shares the request path
+     * params, memoized loaders, cache and request scheduler of the resource.
+     *
+     * @param {Object} [wrapperOptions] Wrapper options overriding the wrapper options of the resource
+     * @returns {Resource}
+     */
+    _withWrapperOptions(wrapperOptions) {
+        if (!wrapperOptions || Object.keys(wrapperOptions).length === 0) return this;
+
+        const resource = Object.create(this);
+
+        resource._wrapperOptions = { ...this._wrapperOptions, ...wrapperOptions };
+
+        return resource;
+    }
+
     /**
      * Sends a request to the TMDb API.
      *
      * @param {string} endpointName Endpoint name
      * @param {Object} options API request options
      * @param {Object} params Request path params
+     * @param {Object} [wrapperOptions] Wrapper options for the request (e.g. results_per_page)
      * @returns {Promise<Object>}
      */
-    getEndpoint(endpointName, options = {}, params = {}) {
+    getEndpoint(endpointName, options = {}, params = {}, wrapperOptions) {
+        if (wrapperOptions) {
+            return this._withWrapperOptions(wrapperOptions).getEndpoint(
+                endpointName,
+                options,
+                params
+            );
+        }
+
         const endpoint = this._endpoints[endpointName];
 
         if (!endpoint) {
-            return Promise.reject(new ResponseError('Invalid endpoint name.'));
+            return Promise.reject(new ValidationError('Invalid endpoint name.'));
         }
 
         if (endpoint.type === 1) {
@@ -298,26 +723,152 @@ export default class Resource {
             return this._getList(endpointName, options, params);
         }
 
-        return this._request('GET', this._createPath(endpoint.path, params), options);
+        const path = this._createPath(endpoint.path, params);
+
+        return this._request('GET', path, options, {}, {}, this._getCacheTtl(endpoint));
+    }
+
+    /**
+     * Normalizes the response of an update. TMDb returns "success" for some updates only.
+     *
+     * @param {Object} response Response data
+     * @returns {Object} Response data with success, status_code and status_message
+     */
+    _normalizeStatus(response = {}) {
+        return {
+            ...response,
+
+            success: typeof response.success === 'boolean' ? response.success : true,
+            status_code: response.status_code !== undefined ? response.status_code : null,
+            status_message: response.status_message !== undefined ? response.status_message : null,
+        };
+    }
+
+    /**
+     * Rates the resource using the "rating" endpoint.
+     *
+     * @param {Object|number} content Request content or rating value
+     * @param {number} content.value Rating value between 0.5 and 10 in steps of 0.5
+     * @param {Object} [options] API request options
+     * @returns {Promise<Object>}
+     */
+    async _addRating(content, options) {
+        const value = content !== null && typeof content === 'object' ? content.value : content;
+
+        if (typeof value !== 'number' || value < 0.5 || value > 10 || (value * 2) % 1 !== 0) {
+            return Promise.reject(new ValidationError('Invalid rating value.'));
+        }
+
+        return this.updateEndpoint('POST', 'rating', options, { value });
     }
 
     /**
-     * Updates an endpoint using a method.
+     * Updates an endpoint using a method. Deletes the cached responses of the resource.
      *
      * @param {string} method Method
      * @param {string} endpointName Endpoint name
      * @param {Object} options API request options
      * @param {Object} content API request content
-     * @returns {Promise<Object>}
+     * @param {Object} [params] Endpoint path params
+     * @returns {Promise<Object>} Response data with success, status_code and status_message
      */
-    updateEndpoint(method, endpointName, options, content) {
+    async updateEndpoint(method, endpointName, options, content, params = {}) {
         const endpoint = this._endpoints[endpointName];
 
-        if (!method) return Promise.reject(Error('Method required.'));
-        if (!endpoint) return Promise.reject(Error('Invalid endpoint name.'));
+        if (!method) return Promise.reject(new ValidationError('Method required.'));
+        if (!endpoint) return Promise.reject(new ValidationError('Invalid endpoint name.'));
+
+        const path = this._createPath(endpoint.path, params);
+
+        try {
+            const response = await this._request(method, path, options, content);
 
-        const path = this._createPath(endpoint.path);
+            await this._invalidateCache();
 
-        return this._request(method, path, options, content);
+            return this._normalizeStatus(response);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Iterates the results of an endpoint with results, requesting the pages when needed.
+     *
+     * The getter is the name of a method of the resource (e.g. "getPopular") or a function that
+     * gets a page with the request options (e.g. `(options) => trending.getMovies('week', options)`).
+     *
+     * @example
+     * for await (const movie of client.movie.iterate('getPopular', {}, { max_items: 50 })) {}
+     *
+     * @param {string|Function} getter Method name or function returning a page of results
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] First page
+     * @param {Object} [iteratorOptions] Iterator options
+     * @param {number} [iteratorOptions.max_items] Maximum number of results
+     * @param {number} [iteratorOptions.max_pages] Maximum number of pages
+     * @param {number} [iteratorOptions.prefetch] Number of pages requested ahead in parallel
+     * @returns {AsyncGenerator<Object>}
+     */
+    async *iterate(getter, options = {}, iteratorOptions = {}) {
+        const getPage =
+            typeof getter === 'function' ? getter : this[getter] && this[getter].bind(this);
+
+        if (typeof getPage !== 'function') throw new ValidationError('Invalid getter.');
+
+        const { max_items: maxItems = Infinity, max_pages: maxPages = Infinity } = iteratorOptions;
+        const prefetch = Math.max(0, parseInt(iteratorOptions.prefetch, 10) || 0);
+
+        // Function getters may use other wrapper options. Their pages are limited by the total
+        // pages of the first page, which are capped at the page limit of the getter.
+        const pageLimit = typeof getter === 'function' ? Infinity : this._getPageLimit();
+
+        const firstPage = parseInt(options.page, 10) || 1;
+        const pages = [];
+
+        let lastPage = Math.min(pageLimit, firstPage + maxPages - 1);
+        let nextPage = firstPage;
+        let count = 0;
+
+        const requestPage = () => {
+            const page = Promise.resolve(getPage({ ...options, page: nextPage }));
+
+            // Prefetched pages are awaited later. Handled here to avoid unhandled rejections.
+            page.catch(() => {});
+
+            pages.push(page);
+            nextPage += 1;
+        };
+
+        if (count >= maxItems || nextPage > lastPage) return;
+
+        requestPage();
+
+        while (pages.length > 0) {
+            let data;
+
+            try {
+                data = await pages.shift();
+            } catch (error) {
+                // Pages without results end the iteration. API errors are thrown.
+                if (error instanceof NotFoundError && !error.status) return;
+
+                throw error;
+            }
+
+            if (!data || !Array.isArray(data.results)) {
+                throw new ValidationError('Endpoint has no results.');
+            }
+
+            lastPage = Math.min(lastPage, data.total_pages || 0);
+
+            while (nextPage <= lastPage && pages.length < prefetch + 1) requestPage();
+
+            for (let i = 0; i < data.results.length; i += 1) {
+                yield data.results[i];
+
+                count += 1;
+                if (count >= maxItems) return;
+            }
+        }
     }
 }
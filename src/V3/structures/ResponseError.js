@@ -1,7 +1,18 @@
 /**
- * Response error.
+ * Request params replaced in errors.
+ */
+const redactedParams = ['api_key', 'session_id', 'guest_session_id'];
+
+/**
+ * Response error. Base class of all errors thrown by the wrapper.
  *
  * @prop {Object} data Error data
+ * @prop {number} status HTTP status
+ * @prop {number} status_code TMDb status code
+ * @prop {string} status_message TMDb status message
+ * @prop {string} path Request path
+ * @prop {Object} params Request params (API key and session IDs redacted)
+ * @prop {boolean} retryable Can the request be retried?
  * @extends {Error}
  */
 export default class ResponseError extends Error {
@@ -9,11 +20,207 @@ export default class ResponseError extends Error {
      * Creates an instance of ResponseError.
      *
      * @param {string} message Error message
-     * @param {Object} data Error data
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     * @param {number} [details.status] HTTP status
+     * @param {string} [details.path] Request path
+     * @param {Object} [details.params] Request params
+     * @param {boolean} [details.retryable] Can the request be retried?
      */
-    constructor(message, data) {
+    constructor(message, data, details = {}) {
         super(message);
 
+        this.name = this.constructor.name;
         this.data = data;
+
+        this.status = details.status || null;
+        this.status_code = data && data.status_code !== undefined ? data.status_code : null;
+        this.status_message = (data && data.status_message) || null;
+
+        this.path = details.path || null;
+        this.params = details.params ? ResponseError.redactParams(details.params) : null;
+
+        this.retryable = details.retryable !== undefined ? details.retryable : this.status >= 500;
+    }
+
+    /**
+     * Copies request params with the API key and session IDs redacted.
+     *
+     * @param {Object} params Request params
+     * @returns {Object}
+     */
+    static redactParams(params) {
+        const redacted = { ...params };
+
+        redactedParams.forEach((name) => {
+            if (redacted[name]) redacted[name] = '[REDACTED]';
+        });
+
+        return redacted;
+    }
+}
+
+/**
+ * Not found error (HTTP 404 or no results).
+ *
+ * @extends {ResponseError}
+ */
+export class NotFoundError extends ResponseError {
+    /**
+     * Creates an instance of NotFoundError.
+     *
+     * @param {string} message Error message
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     */
+    constructor(message, data, details) {
+        super(message, data, { ...details, retryable: false });
+    }
+}
+
+/**
+ * Authentication error (HTTP 401 or 403). Invalid API key or session.
+ *
+ * @extends {ResponseError}
+ */
+export class AuthenticationError extends ResponseError {
+    /**
+     * Creates an instance of AuthenticationError.
+     *
+     * @param {string} message Error message
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     */
+    constructor(message, data, details) {
+        super(message, data, { ...details, retryable: false });
+    }
+}
+
+/**
+ * Rate limit error (HTTP 429).
+ *
+ * @prop {number} retry_after Seconds to wait before retrying
+ * @extends {ResponseError}
+ */
+export class RateLimitError extends ResponseError {
+    /**
+     * Creates an instance of RateLimitError.
+     *
+     * @param {string} message Error message
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     * @param {number} [details.retry_after] Seconds to wait before retrying
+     */
+    constructor(message, data, details = {}) {
+        super(message, data, { ...details, retryable: true });
+
+        this.retry_after = details.retry_after || null;
+    }
+}
+
+/**
+ * Validation error. Invalid arguments or HTTP 400 and 422.
+ *
+ * @extends {ResponseError}
+ */
+export class ValidationError extends ResponseError {
+    /**
+     * Creates an instance of ValidationError.
+     *
+     * @param {string} message Error message
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     */
+    constructor(message, data, details) {
+        super(message, data, { ...details, retryable: false });
+    }
+}
+
+/**
+ * Ambiguity error. An external ID without a source prefix matches several external sources.
+ *
+ * @prop {Array<string>} sources Matching external sources
+ * @extends {ValidationError}
+ */
+export class AmbiguityError extends ValidationError {
+    /**
+     * Creates an instance of AmbiguityError.
+     *
+     * @param {string} message Error message
+     * @param {Array<string>} sources Matching external sources
+     */
+    constructor(message, sources) {
+        super(message);
+
+        this.sources = sources;
+    }
+}
+
+/**
+ * Network error. Request made but no response received.
+ *
+ * @extends {ResponseError}
+ */
+export class NetworkError extends ResponseError {
+    /**
+     * Creates an instance of NetworkError.
+     *
+     * @param {string} message Error message
+     * @param {Object} [data] Error data
+     * @param {Object} [details] Error details
+     */
+    constructor(message, data, details) {
+        super(message, data, { ...details, retryable: true });
+    }
+}
+
+/**
+ * Creates a response error from a failed request.
+ *
+ * @param {Object} error Request error
+ * @param {string} path Request path
+ * @param {Object} params Request params
+ * @returns {ResponseError}
+ */
+export function createRequestError(error, path, params) {
+    const details = { path, params };
+
+    if (error instanceof ResponseError) return error;
+
+    if (!error.response) {
+        if (error.request) {
+            return new NetworkError('Request made but no response received.', null, details);
+        }
+
+        return new ResponseError('Unknown error when sending request.', null, {
+            ...details,
+            retryable: false,
+        });
+    }
+
+    const { status, headers = {}, data } = error.response;
+    const message = (data && data.status_message) || null;
+
+    details.status = status;
+
+    if (status === 401 || status === 403) {
+        return new AuthenticationError(message || 'Authentication failed.', data, details);
+    }
+
+    if (status === 404) return new NotFoundError(message || 'Resource not found.', data, details);
+
+    if (status === 429) {
+        const retryAfter = parseInt(headers['retry-after'], 10) || null;
+
+        return new RateLimitError(message || 'Rate limit exceeded.', data, {
+            ...details,
+            retry_after: retryAfter,
+        });
     }
+
+    if (status === 400 || status === 422) {
+        return new ValidationError(message || 'Invalid request.', data, details);
+    }
+
+    return new ResponseError(message || 'API error.', data, details);
 }
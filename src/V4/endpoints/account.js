@@ -0,0 +1,57 @@
+export const basePath = '/account';
+
+export const endpoints = {
+    lists: {
+        type: 2,
+        path: '/{id}/lists',
+        ttl: 0,
+    },
+
+    favorite_movies: {
+        type: 2,
+        path: '/{id}/movie/favorites',
+        ttl: 0,
+    },
+
+    favorite_tv: {
+        type: 2,
+        path: '/{id}/tv/favorites',
+        ttl: 0,
+    },
+
+    rated_movies: {
+        type: 2,
+        path: '/{id}/movie/rated',
+        ttl: 0,
+    },
+
+    rated_tv: {
+        type: 2,
+        path: '/{id}/tv/rated',
+        ttl: 0,
+    },
+
+    movie_recommendations: {
+        type: 2,
+        path: '/{id}/movie/recommendations',
+        ttl: 0,
+    },
+
+    tv_recommendations: {
+        type: 2,
+        path: '/{id}/tv/recommendations',
+        ttl: 0,
+    },
+
+    watchlist_movies: {
+        type: 2,
+        path: '/{id}/movie/watchlist',
+        ttl: 0,
+    },
+
+    watchlist_tv: {
+        type: 2,
+        path: '/{id}/tv/watchlist',
+        ttl: 0,
+    },
+};
@@ -0,0 +1,13 @@
+export const basePath = '/auth';
+
+export const endpoints = {
+    request_token: {
+        type: 0,
+        path: '/request_token',
+    },
+
+    access_token: {
+        type: 0,
+        path: '/access_token',
+    },
+};
@@ -0,0 +1,40 @@
+export const basePath = '/list';
+
+export const endpoints = {
+    details: {
+        type: 2,
+        path: '/{id}',
+        ttl: 0,
+    },
+
+    create: {
+        type: 0,
+        path: '',
+    },
+
+    update: {
+        type: 0,
+        path: '/{id}',
+    },
+
+    clear: {
+        type: 0,
+        path: '/{id}/clear',
+    },
+
+    delete: {
+        type: 0,
+        path: '/{id}',
+    },
+
+    items: {
+        type: 0,
+        path: '/{id}/items',
+    },
+
+    item_status: {
+        type: 0,
+        path: '/{id}/item_status',
+        ttl: 0,
+    },
+};
@@ -0,0 +1,181 @@
+import { ValidationError } from '../V3/structures/ResponseError';
+import MemoryCache from '../V3/structures/MemoryCache';
+import AxiosTransport from '../V3/structures/AxiosTransport';
+import RequestScheduler from '../V3/structures/RequestScheduler';
+
+import Auth from './resources/Auth';
+import Account from './resources/Account';
+import List from './resources/List';
+
+/**
+ * TMDb API version 4.
+ *
+ * @prop {number} version API version
+ * @prop {Object} apiOptions API options
+ * @prop {Object} wrapperOptions Wrapper options
+ */
+export default class V4 {
+    /**
+     * Creates an instance of V4.
+     *
+     * @param {Object} apiOptions API options
+     * @param {string} apiOptions.access_token API read access token
+     * @param {string} [apiOptions.user_access_token] User access token
+     * @param {string} [apiOptions.account_id] Account object ID of the user access token
+     * @param {string} [apiOptions.language] Language
+     * @param {Object} [wrapperOptions] Wrapper options (see V3)
+     * @param {number} [wrapperOptions.results_per_page] Results per page
+     * @param {Object} [wrapperOptions.cache] Response cache with get, set and delete methods (null disables caching)
+     * @param {number} [wrapperOptions.cache_ttl] Default cache time to live in seconds
+     * @param {number} [wrapperOptions.cache_index_size] Cached keys tracked for invalidation (at least the cache size)
+     * @param {Object} [wrapperOptions.rate_limit] Rate limit options (null disables rate limiting)
+     * @param {Object} [wrapperOptions.retry] Retry options (null disables retries)
+     * @param {RequestScheduler} [wrapperOptions.scheduler] Request scheduler shared by all resources
+     * @param {Object} [wrapperOptions.transport] Transport sending the requests (defaults to axios)
+     * @param {string} [wrapperOptions.base_url] API base URL
+     * @param {Auth} auth Auth resource
+     * @param {Account} account Account resource
+     */
+    constructor(apiOptions, wrapperOptions) {
+        this.version = 4;
+
+        this.apiOptions = {
+            access_token: null,
+            user_access_token: null,
+            account_id: null,
+            language: null,
+
+            ...apiOptions,
+        };
+
+        this.wrapperOptions = {
+            results_per_page: 20,
+            always_use_results: false,
+            cache: new MemoryCache(),
+            cache_ttl: 3600,
+            cache_index_size: 1000,
+            rate_limit: {},
+            retry: {},
+            transport: new AxiosTransport(),
+            base_url: 'https://api.themoviedb.org/',
+
+            ...wrapperOptions,
+        };
+
+        if (!this.wrapperOptions.scheduler) {
+            const { rate_limit: rateLimit, retry } = this.wrapperOptions;
+
+            this.wrapperOptions.scheduler = new RequestScheduler(rateLimit, retry);
+        }
+
+        if (!this.apiOptions.access_token) throw new ValidationError('Access token required.');
+
+        this.auth = new Auth(this.version, this.apiOptions, this.wrapperOptions);
+        this.account = new Account(
+            this.version,
+            this.apiOptions,
+            this.wrapperOptions,
+            this.apiOptions.account_id
+        );
+    }
+
+    /**
+     * Creates a client with other API options and wrapper options. The client shares the cache and
+     * request scheduler unless they are overridden. A new request scheduler is created if the rate
+     * limit or retry options are overridden.
+     *
+     * @param {Object} [apiOptions] API options overriding the API options of the client
+     * @param {Object} [wrapperOptions] Wrapper options overriding the wrapper options of the client
+     * @returns {V4}
+     */
+    withOptions(apiOptions, wrapperOptions = {}) {
+        const { scheduler, ...parentWrapperOptions } = this.wrapperOptions;
+        const hasSchedulerOptions = 'rate_limit' in wrapperOptions || 'retry' in wrapperOptions;
+
+        return new V4(
+            { ...this.apiOptions, ...apiOptions },
+            {
+                ...(hasSchedulerOptions ? parentWrapperOptions : this.wrapperOptions),
+                ...wrapperOptions,
+            }
+        );
+    }
+
+    /**
+     * Creates a client bound to a user access token. The client shares the cache and request
+     * scheduler.
+     *
+     * @param {string} userAccessToken User access token
+     * @param {string} accountId Account object ID
+     * @returns {V4}
+     */
+    withUserAccessToken(userAccessToken, accountId) {
+        return this.withOptions({ user_access_token: userAccessToken, account_id: accountId });
+    }
+
+    /**
+     * Creates a user access token from a request token approved by a user and a client bound to
+     * it.
+     *
+     * @param {string} requestToken Approved request token
+     * @returns {Promise<V4>}
+     */
+    async createUserClient(requestToken) {
+        try {
+            const {
+                access_token: userAccessToken,
+                account_id: accountId,
+            } = await this.auth.createAccessToken({ request_token: requestToken });
+
+            return this.withUserAccessToken(userAccessToken, accountId);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Deletes the user access token of the client.
+     *
+     * @returns {Promise<Object>}
+     */
+    async logout() {
+        if (!this.apiOptions.user_access_token) {
+            return Promise.reject(new ValidationError('User access token required.'));
+        }
+
+        return this.auth.deleteAccessToken({ access_token: this.apiOptions.user_access_token });
+    }
+
+    /**
+     * Gets the endpoints for a list using it's TMDb ID.
+     *
+     * @param {number} id TMDb ID
+     * @returns {List}
+     */
+    getList(id) {
+        return new List(this.version, this.apiOptions, this.wrapperOptions, id);
+    }
+
+    /**
+     * Creates a list owned by the user of the client.
+     *
+     * @param {Object} content Request content
+     * @param {string} content.name List name
+     * @param {string} [content.iso_639_1] ISO 639-1 value of the list language
+     * @param {string} [content.description] List description
+     * @param {boolean} [content.public] Public list?
+     * @param {Object} [options] Request options
+     * @returns {Promise<List>}
+     */
+    async createList(content, options) {
+        const list = new List(this.version, this.apiOptions, this.wrapperOptions);
+
+        try {
+            await list.create(content, options);
+
+            return list;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+}
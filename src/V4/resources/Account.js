@@ -0,0 +1,168 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../../V3/structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/account';
+
+/**
+ * Endpoints for the Account resource. Requires a user access token.
+ * @see https://developers.themoviedb.org/4/account
+ *
+ * @prop {string} id Account object ID
+ * @extends {Resource}
+ */
+export default class Account extends Resource {
+    /**
+     * Creates an instance of Account.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {string} [id] Account object ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+    }
+
+    /**
+     * Gets an endpoint of the account.
+     *
+     * @param {string} endpointName Endpoint name
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async _getAccountEndpoint(endpointName, options, wrapperOptions) {
+        if (!this._apiOptions.user_access_token || !this._params.id) {
+            return Promise.reject(
+                new ValidationError('User access token and account ID required.')
+            );
+        }
+
+        return this.getEndpoint(endpointName, options, {}, wrapperOptions);
+    }
+
+    /**
+     * Gets all of the lists created by the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-lists
+     *
+     * @param {Object} [options] Request options
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getCreatedLists(options, wrapperOptions) {
+        return this._getAccountEndpoint('lists', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the favorite movies of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-favorite-movies
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getFavoriteMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('favorite_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the favorite TV shows of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-favorite-tv-shows
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getFavoriteTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('favorite_tv', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the rated movies of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-rated-movies
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRatedMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('rated_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the rated TV shows of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-rated-tv-shows
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getRatedTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('rated_tv', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the movie recommendations of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-movie-recommendations
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getMovieRecommendations(options, wrapperOptions) {
+        return this._getAccountEndpoint('movie_recommendations', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the TV show recommendations of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-tv-show-recommendations
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getTVRecommendations(options, wrapperOptions) {
+        return this._getAccountEndpoint('tv_recommendations', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the movie watchlist of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-movie-watchlist
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getWatchlistMovies(options, wrapperOptions) {
+        return this._getAccountEndpoint('watchlist_movies', options, wrapperOptions);
+    }
+
+    /**
+     * Gets the TV show watchlist of the account.
+     * @see https://developers.themoviedb.org/4/account/get-account-tv-show-watchlist
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.sort_by] Sort results (e.g. created_at.desc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getWatchlistTVShows(options, wrapperOptions) {
+        return this._getAccountEndpoint('watchlist_tv', options, wrapperOptions);
+    }
+}
@@ -0,0 +1,91 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../../V3/structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/auth';
+
+/**
+ * Endpoints for the Auth resource. Requests use the access token of the application.
+ * @see https://developers.themoviedb.org/4/auth
+ *
+ * @extends {Resource}
+ */
+export default class Auth extends Resource {
+    /**
+     * Creates an instance of Auth.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     */
+    constructor(version, apiOptions, wrapperOptions) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints);
+
+        this._approveUrl = 'https://www.themoviedb.org/auth/access';
+    }
+
+    /**
+     * Gets the bearer token of a request. Auth requests always use the application access token.
+     *
+     * @returns {string}
+     */
+    _getAccessToken() {
+        return this._apiOptions.access_token;
+    }
+
+    /**
+     * Gets the URL where a user approves a request token.
+     *
+     * @param {string} requestToken Request token
+     * @returns {string}
+     */
+    getApprovalUrl(requestToken) {
+        return `${this._approveUrl}?request_token=${encodeURIComponent(requestToken)}`;
+    }
+
+    /**
+     * Creates a temporary request token. The token is valid for 15 minutes.
+     * @see https://developers.themoviedb.org/4/auth/create-request-token
+     *
+     * @param {Object} [content] Request content
+     * @param {string} [content.redirect_to] URL to redirect to after the approval
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async createRequestToken(content, options) {
+        return this.updateEndpoint('POST', 'request_token', options, content);
+    }
+
+    /**
+     * Creates a user access token from a request token approved by a user.
+     * @see https://developers.themoviedb.org/4/auth/create-access-token
+     *
+     * @param {Object} content Request content
+     * @param {string} content.request_token Approved request token
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>} Access token and account ID
+     */
+    async createAccessToken(content = {}, options) {
+        if (!content.request_token) {
+            return Promise.reject(new ValidationError('Request token required.'));
+        }
+
+        return this.updateEndpoint('POST', 'access_token', options, content);
+    }
+
+    /**
+     * Deletes (logs out of) a user access token.
+     * @see https://developers.themoviedb.org/4/auth/delete-access-token
+     *
+     * @param {Object} content Request content
+     * @param {string} content.access_token User access token
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async deleteAccessToken(content = {}, options) {
+        if (!content.access_token) {
+            return Promise.reject(new ValidationError('Access token required.'));
+        }
+
+        return this.updateEndpoint('DELETE', 'access_token', options, content);
+    }
+}
@@ -0,0 +1,220 @@
+import Resource from '../structures/Resource';
+import { ValidationError } from '../../V3/structures/ResponseError';
+
+import { basePath, endpoints } from '../endpoints/list';
+
+/**
+ * Endpoints for the List resource. Lists can contain movies and TV shows. Updating a list requires
+ * the user access token of its owner.
+ * @see https://developers.themoviedb.org/4/list
+ *
+ * @prop {number} id TMDb ID (set when the list is created)
+ * @extends {Resource}
+ */
+export default class List extends Resource {
+    /**
+     * Creates an instance of List.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {number} [id] TMDb ID
+     */
+    constructor(version, apiOptions, wrapperOptions, id) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, { id });
+
+        this._mediaTypes = ['movie', 'tv'];
+    }
+
+    /**
+     * Validates list items.
+     *
+     * @param {Array<Object>} items List items
+     * @returns {ValidationError} Error or undefined
+     */
+    _validateItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            return new ValidationError('List items required.');
+        }
+
+        const invalidItem = items.find(
+            (item) => !item || !this._mediaTypes.includes(item.media_type) || !item.media_id
+        );
+
+        return invalidItem ? new ValidationError('Invalid list item.') : undefined;
+    }
+
+    /**
+     * Updates an endpoint of the list.
+     *
+     * @param {string} method Method
+     * @param {string} endpointName Endpoint name
+     * @param {Object} [options] Request options
+     * @param {Object} [content] Request content
+     * @returns {Promise<Object>}
+     */
+    async _updateListEndpoint(method, endpointName, options, content) {
+        if (!this._params.id) return Promise.reject(new ValidationError('List ID required.'));
+
+        return this.updateEndpoint(method, endpointName, options, content);
+    }
+
+    /**
+     * Gets the details and a page of items of a list. Private lists require a user access token.
+     * @see https://developers.themoviedb.org/4/list/get-list
+     *
+     * @param {Object} [options] Request options
+     * @param {string} [options.language] ISO 639-1 value to get translated data
+     * @param {string} [options.sort_by] Sort items (e.g. original_order.asc)
+     * @param {number} [options.page] Filter results by page
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getDetails(options, wrapperOptions) {
+        return this.getEndpoint('details', options, {}, wrapperOptions);
+    }
+
+    /**
+     * Checks if an item has already been added to the list.
+     * @see https://developers.themoviedb.org/4/list/check-item-status
+     *
+     * @param {Object} item List item
+     * @param {string} item.media_type Media type (movie or tv)
+     * @param {number} item.media_id TMDb ID
+     * @param {Object} [options] Request options
+     * @param {Object} [wrapperOptions] Wrapper options for the request
+     * @returns {Promise<Object>}
+     */
+    async getItemStatus(item, options, wrapperOptions) {
+        const error = this._validateItems([item]);
+
+        if (error) return Promise.reject(error);
+
+        const requestOptions = { ...options, media_type: item.media_type, media_id: item.media_id };
+
+        return this.getEndpoint('item_status', requestOptions, {}, wrapperOptions);
+    }
+
+    /**
+     * Creates a list. The TMDb ID of the new list is used by the other methods.
+     * @see https://developers.themoviedb.org/4/list/create-list
+     *
+     * @param {Object} content Request content
+     * @param {string} content.name List name
+     * @param {string} [content.iso_639_1] ISO 639-1 value of the list language
+     * @param {string} [content.description] List description
+     * @param {boolean} [content.public] Public list?
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async create(content = {}, options) {
+        if (this._params.id) return Promise.reject(new ValidationError('List already created.'));
+        if (!content.name) return Promise.reject(new ValidationError('List name required.'));
+
+        try {
+            const response = await this.updateEndpoint('POST', 'create', options, {
+                iso_639_1: this._apiOptions.language || 'en',
+                ...content,
+            });
+
+            this._params.id = response.id;
+
+            return response;
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Updates the details of the list.
+     * @see https://developers.themoviedb.org/4/list/update-list
+     *
+     * @param {Object} content Request content
+     * @param {string} [content.name] List name
+     * @param {string} [content.description] List description
+     * @param {boolean} [content.public] Public list?
+     * @param {string} [content.sort_by] Default sort of the items
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async update(content, options) {
+        return this._updateListEndpoint('PUT', 'update', options, content);
+    }
+
+    /**
+     * Removes all items from the list.
+     * @see https://developers.themoviedb.org/4/list/clear-list
+     *
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async clear(options) {
+        return this._updateListEndpoint('GET', 'clear', options);
+    }
+
+    /**
+     * Deletes the list.
+     * @see https://developers.themoviedb.org/4/list/delete-list
+     *
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async delete(options) {
+        return this._updateListEndpoint('DELETE', 'delete', options);
+    }
+
+    /**
+     * Adds movies and TV shows to the list.
+     * @see https://developers.themoviedb.org/4/list/add-items
+     *
+     * @param {Array<Object>} items List items
+     * @param {string} items[].media_type Media type (movie or tv)
+     * @param {number} items[].media_id TMDb ID
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async addItems(items, options) {
+        const error = this._validateItems(items);
+
+        if (error) return Promise.reject(error);
+
+        return this._updateListEndpoint('POST', 'items', options, { items });
+    }
+
+    /**
+     * Updates the comments of items in the list.
+     * @see https://developers.themoviedb.org/4/list/update-items
+     *
+     * @param {Array<Object>} items List items
+     * @param {string} items[].media_type Media type (movie or tv)
+     * @param {number} items[].media_id TMDb ID
+     * @param {string} items[].comment Item comment
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async updateItems(items, options) {
+        const error = this._validateItems(items);
+
+        if (error) return Promise.reject(error);
+
+        return this._updateListEndpoint('PUT', 'items', options, { items });
+    }
+
+    /**
+     * Removes movies and TV shows from the list.
+     * @see https://developers.themoviedb.org/4/list/remove-items
+     *
+     * @param {Array<Object>} items List items
+     * @param {string} items[].media_type Media type (movie or tv)
+     * @param {number} items[].media_id TMDb ID
+     * @param {Object} [options] Request options
+     * @returns {Promise<Object>}
+     */
+    async removeItems(items, options) {
+        const error = this._validateItems(items);
+
+        if (error) return Promise.reject(error);
+
+        return this._updateListEndpoint('DELETE', 'items', options, { items });
+    }
+}
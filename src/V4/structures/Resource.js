@@ -0,0 +1,66 @@
+import BaseResource from '../../V3/structures/Resource';
+
+/**
+ * Resource structure for API version 4. Requests are authenticated with a bearer token instead of
+ * an API key.
+ *
+ * @prop {Array<string>} _authOptions API options that are not sent as query params
+ * @extends {BaseResource}
+ */
+export default class Resource extends BaseResource {
+    /**
+     * Creates an instance of Resource.
+     *
+     * @param {number} version API version
+     * @param {Object} apiOptions API options
+     * @param {Object} wrapperOptions Wrapper options
+     * @param {string} basePath Resource base path
+     * @param {Object} endpoints Resource endpoints
+     * @param {Object} [params] Request path params
+     */
+    constructor(version, apiOptions, wrapperOptions, basePath, endpoints, params) {
+        super(version, apiOptions, wrapperOptions, basePath, endpoints, params);
+
+        this._authOptions = ['access_token', 'user_access_token', 'account_id'];
+    }
+
+    /**
+     * Gets the bearer token of a request. The user access token is used if set.
+     *
+     * @returns {string}
+     */
+    _getAccessToken() {
+        return this._apiOptions.user_access_token || this._apiOptions.access_token;
+    }
+
+    /**
+     * Creates the query params of a request. Access tokens are sent as a header.
+     *
+     * @param {Object} options API request options
+     * @returns {Object}
+     */
+    _getRequestParams(options) {
+        const params = {};
+
+        Object.keys(this._apiOptions)
+            .filter((name) => !this._authOptions.includes(name))
+            .forEach((name) => {
+                params[name] = this._apiOptions[name];
+            });
+
+        return { ...params, ...options };
+    }
+
+    /**
+     * Creates the headers of a request with the bearer token.
+     *
+     * @param {Object} headers API request headers
+     * @returns {Object}
+     */
+    _getRequestHeaders(headers) {
+        return super._getRequestHeaders({
+            Authorization: `Bearer ${this._getAccessToken()}`,
+            ...headers,
+        });
+    }
+}
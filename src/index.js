@@ -1,3 +1,19 @@
 import _V3 from './V3';
+import _V4 from './V4';
 
 export const V3 = _V3;
+export const V4 = _V4;
+
+export {
+    default as ResponseError,
+    NotFoundError,
+    AuthenticationError,
+    RateLimitError,
+    ValidationError,
+    AmbiguityError,
+    NetworkError,
+} from './V3/structures/ResponseError';
+
+export { default as AxiosTransport } from './V3/structures/AxiosTransport';
+export { default as MockTransport } from './V3/structures/MockTransport';
+export { default as FixtureTransport } from './V3/structures/FixtureTransport';
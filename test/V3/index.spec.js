@@ -0,0 +1,89 @@
+import assert from 'assert';
+
+import { V3, V4 } from '../../src';
+import { createClient } from '../helpers';
+
+describe('V3', () => {
+    describe('withOptions', () => {
+        it('shares the cache and request scheduler', () => {
+            const client = new V3({ api_key: 'key' });
+            const derived = client.withOptions({ language: 'de' }, { results_per_page: 5 });
+
+            assert.strictEqual(derived.apiOptions.language, 'de');
+            assert.strictEqual(derived.wrapperOptions.results_per_page, 5);
+            assert.strictEqual(derived.wrapperOptions.cache, client.wrapperOptions.cache);
+            assert.strictEqual(derived.wrapperOptions.scheduler, client.wrapperOptions.scheduler);
+        });
+
+        it('creates a request scheduler if the rate limit or retry options are overridden', () => {
+            const client = new V3({ api_key: 'key' });
+
+            const rateLimited = client.withOptions({}, { rate_limit: { requests: 5 } });
+            const withoutRetries = client.withOptions({}, { retry: null });
+
+            assert.notStrictEqual(
+                rateLimited.wrapperOptions.scheduler,
+                client.wrapperOptions.scheduler
+            );
+            assert.strictEqual(rateLimited.wrapperOptions.scheduler._rateLimit.requests, 5);
+
+            assert.notStrictEqual(
+                withoutRetries.wrapperOptions.scheduler,
+                client.wrapperOptions.scheduler
+            );
+            assert.strictEqual(withoutRetries.wrapperOptions.scheduler._retry, null);
+        });
+
+        it('creates a request scheduler for V4 clients', () => {
+            const client = new V4({ access_token: 'token' });
+            const derived = client.withOptions({}, { rate_limit: null });
+
+            assert.notStrictEqual(
+                derived.wrapperOptions.scheduler,
+                client.wrapperOptions.scheduler
+            );
+            assert.strictEqual(derived.wrapperOptions.scheduler._rateLimit, null);
+        });
+    });
+
+    describe('wrapper options for a request', () => {
+        it('uses the base URL of the request', async () => {
+            const { client, transport } = createClient([
+                { path: '/3/movie/550', data: { id: 550 } },
+                { path: '/proxy/3/movie/550', data: { id: 550, proxied: true } },
+            ]);
+
+            const movie = client.getMovie(550);
+            const proxied = await movie.getDetails({}, { base_url: 'https://example.org/proxy' });
+            const direct = await movie.getDetails();
+
+            assert.strictEqual(proxied.proxied, true);
+            assert.strictEqual(direct.proxied, undefined);
+            assert.deepStrictEqual(
+                transport.requests.map(({ url }) => url),
+                ['https://example.org/proxy/3/movie/550', 'https://api.themoviedb.org/3/movie/550']
+            );
+        });
+    });
+
+    describe('candidates', () => {
+        it('gets the candidate of a custom ID without finding it', async () => {
+            const { client, transport } = createClient(
+                [{ path: '/3/movie/550', data: { id: 550, title: 'Fight Club' } }],
+                { custom_id: true }
+            );
+
+            const { confidence, candidates } = await client.getMovieCandidatesFromMethod({
+                externalId: 't550',
+            });
+
+            assert.strictEqual(confidence, 1);
+            assert.strictEqual(candidates[0].id, 550);
+            assert.strictEqual(candidates[0].title, 'Fight Club');
+            assert.deepStrictEqual(
+                transport.requests.map(({ url }) => url),
+                ['https://api.themoviedb.org/3/movie/550']
+            );
+        });
+    });
+});
@@ -0,0 +1,52 @@
+import assert from 'assert';
+
+import { V3, ValidationError } from '../../../src';
+
+describe('Discover', () => {
+    const { discover } = new V3({ api_key: 'key' });
+
+    describe('releaseDate', () => {
+        const { TZ } = process.env;
+
+        before(() => {
+            process.env.TZ = 'Europe/Berlin';
+        });
+
+        after(() => {
+            if (TZ === undefined) delete process.env.TZ;
+            else process.env.TZ = TZ;
+        });
+
+        it('formats dates in local time', () => {
+            const options = discover
+                .movies()
+                .releaseDate({ from: new Date(2019, 0, 1), to: new Date(2019, 11, 31) })
+                .toOptions();
+
+            assert.deepStrictEqual(options, {
+                'primary_release_date.gte': '2019-01-01',
+                'primary_release_date.lte': '2019-12-31',
+            });
+        });
+
+        it('uses the first air date for TV shows', () => {
+            const options = discover
+                .tvShows()
+                .releaseDate({ from: '2019-01-01' })
+                .toOptions();
+
+            assert.deepStrictEqual(options, { 'first_air_date.gte': '2019-01-01' });
+        });
+
+        it('rejects invalid dates', () => {
+            assert.throws(
+                () => discover.movies().releaseDate({ from: '1/1/2019' }),
+                ValidationError
+            );
+            assert.throws(
+                () => discover.movies().releaseDate({ from: new Date('invalid') }),
+                ValidationError
+            );
+        });
+    });
+});
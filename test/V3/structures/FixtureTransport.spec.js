@@ -0,0 +1,86 @@
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { FixtureTransport, MockTransport } from '../../../src';
+import { createClient } from '../../helpers';
+
+describe('FixtureTransport', () => {
+    const login = { username: 'tyler', password: 'hunter2' };
+
+    let dir;
+    let file;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+        file = path.join(dir, 'login.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Records the login flow to the fixture file.
+     *
+     * @returns {Promise<Object>} Session
+     */
+    const recordLogin = () => {
+        const upstream = new MockTransport([
+            {
+                method: 'GET',
+                path: '/3/authentication/token/new',
+                data: { success: true, request_token: 'token' },
+            },
+            {
+                method: 'POST',
+                path: '/3/authentication/token/validate_with_login',
+                data: { success: true, request_token: 'token' },
+            },
+            {
+                method: 'POST',
+                path: '/3/authentication/session/new',
+                data: { success: true, session_id: 'session' },
+            },
+        ]);
+
+        const transport = new FixtureTransport(file, { mode: 'record', transport: upstream });
+        const { client } = createClient([], { transport });
+
+        return client.authentication.createSessionWithLogin(login);
+    };
+
+    it('scrubs the login from recordings', async () => {
+        const session = await recordLogin();
+        const content = fs.readFileSync(file, 'utf8');
+
+        assert.strictEqual(session.session_id, 'session');
+        assert.strictEqual(content.includes(login.username), false);
+        assert.strictEqual(content.includes(login.password), false);
+        assert.strictEqual(content.includes('session"'), false);
+        assert.strictEqual(content.includes('key'), false);
+
+        const fixture = JSON.parse(content).find(({ path: _path }) =>
+            _path.endsWith('validate_with_login')
+        );
+
+        assert.deepStrictEqual(fixture.body, {
+            username: '[REDACTED]',
+            password: '[REDACTED]',
+            request_token: 'token',
+        });
+    });
+
+    it('replays recordings with a scrubbed login', async () => {
+        await recordLogin();
+
+        const transport = new FixtureTransport(file);
+        const { client } = createClient([], { transport });
+
+        const session = await client.authentication.createSessionWithLogin(login);
+
+        assert.strictEqual(session.session_id, '[REDACTED]');
+        assert.strictEqual(transport.requests.length, 3);
+    });
+});
@@ -0,0 +1,190 @@
+import assert from 'assert';
+
+import { RateLimitError } from '../../../src';
+import RequestScheduler from '../../../src/V3/structures/RequestScheduler';
+import { createClient } from '../../helpers';
+
+/**
+ * Creates a task failing with errors before resolving. Attempts are counted on the task.
+ *
+ * @param {Array<Object>} errors Errors of the first attempts
+ * @param {number} [duration] Duration of an attempt in milliseconds
+ * @returns {Function}
+ */
+const createTask = (errors = [], duration = 0) => {
+    const task = async () => {
+        task.attempts += 1;
+        task.startedAt.push(Date.now());
+
+        if (duration > 0) await new Promise((resolve) => setTimeout(resolve, duration));
+        if (task.attempts <= errors.length) throw errors[task.attempts - 1];
+
+        return task.attempts;
+    };
+
+    task.attempts = 0;
+    task.startedAt = [];
+
+    return task;
+};
+
+const responseError = (status, headers = {}) => ({ response: { status, headers } });
+const networkError = () => ({ request: {} });
+
+describe('RequestScheduler', () => {
+    describe('rate limit', () => {
+        it('limits the requests per interval', async () => {
+            const scheduler = new RequestScheduler({ requests: 2, interval: 100 }, null);
+            const tasks = [1, 2, 3, 4].map(() => createTask());
+            const start = Date.now();
+
+            await Promise.all(tasks.map((task) => scheduler.schedule(task)));
+
+            const delays = tasks.map(({ startedAt }) => startedAt[0] - start);
+
+            assert.ok(delays[1] < 40);
+            assert.ok(delays[2] >= 40);
+            assert.ok(delays[3] >= 90);
+        });
+
+        it('limits the active requests', async () => {
+            const scheduler = new RequestScheduler({ requests: 100, concurrency: 2 }, null);
+            let active = 0;
+            let maxActive = 0;
+
+            const task = async () => {
+                active += 1;
+                maxActive = Math.max(maxActive, active);
+
+                await new Promise((resolve) => setTimeout(resolve, 10));
+
+                active -= 1;
+            };
+
+            await Promise.all([1, 2, 3, 4, 5].map(() => scheduler.schedule(task)));
+
+            assert.strictEqual(maxActive, 2);
+        });
+    });
+
+    describe('retries', () => {
+        const retry = { retries: 2, delay: 1, max_delay: 200 };
+
+        it('retries 429 responses after the Retry-After header and pauses other requests', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const limited = createTask([responseError(429, { 'retry-after': '0.1' })], 5);
+            const other = createTask();
+            const start = Date.now();
+
+            const result = scheduler.schedule(limited);
+
+            await new Promise((resolve) => setTimeout(resolve, 20));
+            await Promise.all([result, scheduler.schedule(other)]);
+
+            assert.strictEqual(limited.attempts, 2);
+            assert.ok(limited.startedAt[1] - start >= 95);
+            assert.ok(other.startedAt[0] - start >= 95);
+        });
+
+        it('rejects 429 responses asking to wait longer than the maximum delay', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const error = responseError(429, { 'retry-after': '3600' });
+            const limited = createTask([error]);
+            const other = createTask();
+            const start = Date.now();
+
+            await assert.rejects(scheduler.schedule(limited), (rejected) => rejected === error);
+            await scheduler.schedule(other);
+
+            assert.strictEqual(limited.attempts, 1);
+            assert.ok(other.startedAt[0] - start < 50);
+        });
+
+        it('retries 429 responses of requests that are not idempotent', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const task = createTask([responseError(429)]);
+
+            assert.strictEqual(await scheduler.schedule(task, { idempotent: false }), 2);
+        });
+
+        it('retries 5xx and network errors of idempotent requests', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const task = createTask([responseError(503), networkError()]);
+
+            assert.strictEqual(await scheduler.schedule(task), 3);
+        });
+
+        it('stops after the maximum number of retries', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const task = createTask([responseError(500), responseError(500), responseError(500)]);
+
+            await assert.rejects(scheduler.schedule(task));
+            assert.strictEqual(task.attempts, 3);
+        });
+
+        it('does not retry 5xx and network errors of requests that are not idempotent', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const failed = createTask([responseError(500)]);
+            const disconnected = createTask([networkError()]);
+
+            await assert.rejects(scheduler.schedule(failed, { idempotent: false }));
+            await assert.rejects(scheduler.schedule(disconnected, { idempotent: false }));
+
+            assert.strictEqual(failed.attempts, 1);
+            assert.strictEqual(disconnected.attempts, 1);
+        });
+
+        it('does not retry other errors', async () => {
+            const scheduler = new RequestScheduler({}, retry);
+            const task = createTask([responseError(404)]);
+
+            await assert.rejects(scheduler.schedule(task));
+            assert.strictEqual(task.attempts, 1);
+        });
+    });
+
+    describe('resources', () => {
+        const retry = { retries: 2, delay: 1 };
+
+        it('retries GET requests only on 5xx responses', async () => {
+            const { client, transport } = createClient(
+                [
+                    { path: '/3/movie/550', status: 503, data: {} },
+                    { method: 'POST', path: '/3/list', status: 500, data: {} },
+                ],
+                { retry }
+            );
+
+            await assert.rejects(client.getMovie(550).getDetails());
+            await assert.rejects(client.withSession('session').createList({ name: 'List' }));
+
+            const count = (method) => transport.requests.filter((r) => r.method === method).length;
+
+            assert.strictEqual(count('GET'), 3);
+            assert.strictEqual(count('POST'), 1);
+        });
+
+        it('rejects with a rate limit error if Retry-After is too long', async () => {
+            const { client, transport } = createClient(
+                [
+                    {
+                        path: '/3/movie/550',
+                        status: 429,
+                        headers: { 'retry-after': '3600' },
+                        data: { status_code: 25 },
+                    },
+                ],
+                { retry }
+            );
+
+            await assert.rejects(client.getMovie(550).getDetails(), (error) => {
+                assert.ok(error instanceof RateLimitError);
+                assert.strictEqual(error.retry_after, 3600);
+
+                return true;
+            });
+
+            assert.strictEqual(transport.requests.length, 1);
+        });
+    });
+});
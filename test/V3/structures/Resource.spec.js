@@ -0,0 +1,449 @@
+import assert from 'assert';
+
+import { NotFoundError, ValidationError } from '../../../src';
+import MemoryCache from '../../../src/V3/structures/MemoryCache';
+import { createClient, createResultsFixtures, getRequestedPages } from '../../helpers';
+
+const similarPath = '/3/movie/550/similar';
+const totalResults = 95;
+
+describe('Resource', () => {
+    describe('results', () => {
+        const fixtures = createResultsFixtures(similarPath, totalResults);
+
+        for (let resultsPerPage = 1; resultsPerPage <= 100; resultsPerPage += 1) {
+            it(`pages all results with ${resultsPerPage} results per page`, async () => {
+                const { client } = createClient(fixtures, { results_per_page: resultsPerPage });
+                const movie = client.getMovie(550);
+
+                const totalPages = Math.ceil(totalResults / resultsPerPage);
+                const ids = [];
+
+                for (let page = 1; page <= totalPages; page += 1) {
+                    const data = await movie.getSimilar({ page });
+
+                    assert.strictEqual(data.page, page);
+                    assert.strictEqual(data.total_pages, totalPages);
+                    assert.strictEqual(data.total_results, totalResults);
+                    assert.strictEqual(
+                        data.results.length,
+                        Math.min(resultsPerPage, totalResults - (page - 1) * resultsPerPage)
+                    );
+
+                    data.results.forEach((result) => {
+                        if (resultsPerPage !== 20) assert.strictEqual(result.index, result.id);
+
+                        ids.push(result.id);
+                    });
+                }
+
+                assert.deepStrictEqual(
+                    ids,
+                    Array.from({ length: totalResults }, (_, i) => i + 1)
+                );
+
+                if (resultsPerPage !== 20) {
+                    await assert.rejects(movie.getSimilar({ page: totalPages + 1 }), NotFoundError);
+                }
+            });
+        }
+
+        it('returns API pages unchanged with 20 results per page', async () => {
+            const { client } = createClient(fixtures);
+            const data = await client.getMovie(550).getSimilar({ page: 5 });
+
+            assert.deepStrictEqual(data, fixtures[4].data);
+        });
+
+        it('requests the API pages of a page in parallel', async () => {
+            const { client, transport } = createClient(fixtures, { results_per_page: 50 });
+
+            await client.getMovie(550).getSimilar({ page: 2 });
+
+            assert.deepStrictEqual(getRequestedPages(transport), [3, 4, 5]);
+        });
+
+        it('requests one API page if a page is inside it', async () => {
+            const { client, transport } = createClient(fixtures, { results_per_page: 5 });
+            const data = await client.getMovie(550).getSimilar({ page: 8 });
+
+            assert.deepStrictEqual(getRequestedPages(transport), [2]);
+            assert.deepStrictEqual(
+                data.results.map(({ index }) => index),
+                [36, 37, 38, 39, 40]
+            );
+        });
+
+        it('caps the total pages at the page limit', async () => {
+            const { client } = createClient(createResultsFixtures(similarPath, 20000), {
+                results_per_page: 10,
+            });
+
+            const data = await client.getMovie(550).getSimilar();
+
+            assert.strictEqual(data.total_pages, 1000);
+            assert.strictEqual(data.total_results, 20000);
+        });
+
+        it('rejects pages after the page limit', async () => {
+            const { client, transport } = createClient(fixtures, { results_per_page: 100 });
+
+            await assert.rejects(client.getMovie(550).getSimilar({ page: 101 }), ValidationError);
+            assert.strictEqual(transport.requests.length, 0);
+        });
+
+        it('rejects invalid page numbers', async () => {
+            const { client } = createClient(fixtures, { results_per_page: 10 });
+            const movie = client.getMovie(550);
+
+            await assert.rejects(movie.getSimilar({ page: 0 }), ValidationError);
+            await assert.rejects(movie.getSimilar({ page: 'last' }), ValidationError);
+        });
+    });
+
+    describe('lists', () => {
+        const cast = Array.from({ length: 45 }, (_, i) => ({ id: i + 1 }));
+        const fixtures = [
+            { path: '/3/movie/550/credits', data: { id: 550, cast, crew: [] } },
+            { path: '/3/movie/550/videos', data: { id: 550, results: [] } },
+        ];
+
+        it('returns lists unchanged without always_use_results', async () => {
+            const { client } = createClient(fixtures, { results_per_page: 20 });
+            const data = await client.getMovie(550).getCredits();
+
+            assert.deepStrictEqual(data, fixtures[0].data);
+        });
+
+        it('pages lists with always_use_results', async () => {
+            const { client } = createClient(fixtures, {
+                results_per_page: 20,
+                always_use_results: true,
+            });
+
+            const movie = client.getMovie(550);
+            const pages = await Promise.all([1, 2, 3].map((page) => movie.getCredits({ page })));
+
+            assert.deepStrictEqual(
+                pages.map(({ cast: { results } }) => results.length),
+                [20, 20, 5]
+            );
+
+            pages.forEach(
+                ({ cast: { page, total_pages: totalPages, total_results: total } }, i) => {
+                    assert.strictEqual(page, i + 1);
+                    assert.strictEqual(totalPages, 3);
+                    assert.strictEqual(total, 45);
+                }
+            );
+
+            assert.deepStrictEqual(
+                pages[2].cast.results.map(({ index }) => index),
+                [41, 42, 43, 44, 45]
+            );
+
+            await assert.rejects(movie.getCredits({ page: 4 }), ValidationError);
+        });
+
+        it('returns empty lists without pages', async () => {
+            const { client } = createClient(fixtures, { always_use_results: true });
+            const movie = client.getMovie(550);
+
+            const { crew } = await movie.getCredits();
+            const { results } = await movie.getVideos();
+
+            const empty = { results: [], page: 1, total_pages: 0, total_results: 0 };
+
+            assert.deepStrictEqual(crew, empty);
+            assert.deepStrictEqual(results, empty);
+        });
+    });
+
+    describe('appends', () => {
+        const [similar, , , , , emptySimilar] = createResultsFixtures(
+            similarPath,
+            totalResults
+        ).map(({ data }) => data);
+        const cast = Array.from({ length: 25 }, (_, i) => ({ id: i + 1 }));
+        const watchProviders = { results: { US: { link: 'https://www.themoviedb.org/' } } };
+
+        const fixtures = [
+            {
+                path: '/3/movie/550',
+                params: { append_to_response: 'similar,credits,watch/providers' },
+                data: {
+                    id: 550,
+                    similar,
+                    credits: { cast, crew: [] },
+                    'watch/providers': watchProviders,
+                },
+            },
+            {
+                path: '/3/movie/550',
+                params: { append_to_response: 'similar', page: 6 },
+                data: { id: 550, similar: emptySimilar },
+            },
+        ];
+
+        const options = { append_to_response: 'similar,credits,watch_providers' };
+
+        it('renames appended endpoints with an append name', async () => {
+            const { client, transport } = createClient(fixtures);
+            const data = await client.getMovie(550).getDetails(options);
+
+            assert.strictEqual(
+                transport.requests[0].params.append_to_response,
+                'similar,credits,watch/providers'
+            );
+
+            assert.deepStrictEqual(data.watch_providers, watchProviders);
+            assert.strictEqual(data['watch/providers'], undefined);
+        });
+
+        it('mutates appended results and lists', async () => {
+            const { client, transport } = createClient(fixtures, {
+                results_per_page: 10,
+                always_use_results: true,
+            });
+
+            const data = await client.getMovie(550).getDetails({ ...options, page: 2 });
+
+            assert.deepStrictEqual(getRequestedPages(transport), [1]);
+
+            assert.strictEqual(data.similar.page, 2);
+            assert.strictEqual(data.similar.total_pages, 10);
+            assert.deepStrictEqual(
+                data.similar.results.map(({ index }) => index),
+                [11, 12, 13, 14, 15, 16, 17, 18, 19, 20]
+            );
+
+            assert.strictEqual(data.credits.cast.page, 2);
+            assert.strictEqual(data.credits.cast.total_pages, 3);
+            assert.deepStrictEqual(data.credits.crew.results, []);
+        });
+
+        it('pages appended lists shorter than the page without failing', async () => {
+            const { client } = createClient(
+                [
+                    {
+                        path: '/3/movie/550',
+                        params: { append_to_response: 'credits' },
+                        data: {
+                            id: 550,
+                            credits: {
+                                cast: Array.from({ length: 45 }, (_, i) => ({ id: i + 1 })),
+                                crew: Array.from({ length: 100 }, (_, i) => ({ id: i + 1 })),
+                            },
+                        },
+                    },
+                ],
+                { always_use_results: true }
+            );
+
+            const { credits } = await client
+                .getMovie(550)
+                .getDetails({ append_to_response: 'credits', page: 4 });
+
+            assert.deepStrictEqual(credits.cast, {
+                results: [],
+                page: 4,
+                total_pages: 3,
+                total_results: 45,
+            });
+
+            assert.strictEqual(credits.crew.page, 4);
+            assert.strictEqual(credits.crew.total_pages, 5);
+            assert.deepStrictEqual(
+                credits.crew.results.map(({ index }) => index),
+                Array.from({ length: 20 }, (_, i) => i + 61)
+            );
+        });
+
+        it('merges appended results spanning several API pages', async () => {
+            const similarFixtures = createResultsFixtures(similarPath, totalResults);
+            const { client, transport } = createClient(
+                [
+                    ...similarFixtures,
+                    ...similarFixtures.map(({ params, data }) => ({
+                        path: '/3/movie/550',
+                        params: { ...params, append_to_response: 'similar' },
+                        data: { id: 550, similar: data },
+                    })),
+                ],
+                { results_per_page: 25 }
+            );
+
+            const movie = client.getMovie(550);
+            const pages = await Promise.all(
+                [1, 2, 3, 4].map((page) =>
+                    movie.getDetails({ append_to_response: 'similar', page })
+                )
+            );
+
+            assert.deepStrictEqual(
+                pages.map((data) => data.similar.results.length),
+                [25, 25, 25, 20]
+            );
+
+            pages.forEach((data, i) => {
+                assert.strictEqual(data.similar.page, i + 1);
+                assert.strictEqual(data.similar.total_pages, 4);
+                assert.strictEqual(data.similar.results[0].index, i * 25 + 1);
+                assert.strictEqual(data.similar.results[0].id, i * 25 + 1);
+            });
+
+            const similarPages = transport.requests
+                .filter(({ url }) => /similar$/.test(url))
+                .map(({ params }) => params.page);
+
+            assert.deepStrictEqual(similarPages.sort(), [2, 3, 4, 5]);
+        });
+
+        it('returns appended data unchanged if a page has no results', async () => {
+            const { client } = createClient(fixtures, { results_per_page: 10 });
+            const data = await client.getMovie(550).getDetails({
+                append_to_response: 'similar',
+                page: 11,
+            });
+
+            assert.deepStrictEqual(data.similar, emptySimilar);
+        });
+    });
+
+    describe('cache', () => {
+        const detailsFixture = { path: '/3/movie/550', data: { id: 550 } };
+        const ratingFixture = { method: 'POST', path: '/3/movie/550/rating', data: {} };
+
+        it('invalidates every page cached by parallel requests', async () => {
+            const entries = new Map();
+            const cache = {
+                get: async (key) => entries.get(key),
+                set: async (key, value) => {
+                    await new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+
+                    entries.set(key, value);
+                },
+                delete: async (key) => entries.delete(key),
+            };
+
+            const { client } = createClient(
+                [...createResultsFixtures(similarPath, totalResults), ratingFixture],
+                { cache, results_per_page: 50 }
+            );
+
+            const movie = client.getMovie(550);
+
+            await movie.getSimilar();
+
+            assert.strictEqual(entries.size, 3);
+            entries.forEach((value) => assert.strictEqual(typeof value, 'string'));
+
+            await movie.addRating(5);
+
+            assert.strictEqual(entries.size, 0);
+        });
+
+        it('bounds the index of cached keys', async () => {
+            const { client } = createClient([detailsFixture], {
+                cache: new MemoryCache(1),
+                cache_index_size: 10,
+            });
+
+            const movie = client.getMovie(550);
+
+            for (let i = 0; i < 100; i += 1) await movie.getDetails({ language: `l${i}` });
+
+            assert.strictEqual(movie._getCacheIndex().size, 10);
+        });
+
+        it('drops the least recently used keys from the index', async () => {
+            const { client, transport } = createClient([detailsFixture, ratingFixture], {
+                cache: new MemoryCache(2),
+                cache_index_size: 2,
+            });
+
+            const movie = client.getMovie(550);
+
+            await movie.getDetails({ language: 'a' });
+            await movie.getDetails({ language: 'b' });
+            await movie.getDetails({ language: 'a' });
+            await movie.getDetails({ language: 'c' });
+
+            assert.deepStrictEqual(
+                [...movie._getCacheIndex().keys()],
+                ['3/movie/550?language=a', '3/movie/550?language=c']
+            );
+
+            await movie.addRating(5);
+            await movie.getDetails({ language: 'a' });
+
+            assert.strictEqual(transport.requests.length, 5);
+        });
+    });
+
+    describe('iterate', () => {
+        // Transport serving an endpoint with 20000 results (IDs equal to their position).
+        const transport = {
+            request: async ({ params }) => ({
+                status: 200,
+                headers: {},
+                data: {
+                    page: params.page,
+                    results: Array.from({ length: 20 }, (_, i) => ({
+                        id: (params.page - 1) * 20 + i + 1,
+                    })),
+                    total_pages: 1000,
+                    total_results: 20000,
+                },
+            }),
+        };
+
+        const count = async (iterator) => {
+            let items = 0;
+            let lastId = 0;
+
+            for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+                items += 1;
+                lastId = next.value.id;
+            }
+
+            return { items, lastId };
+        };
+
+        it('iterates results up to the page limit', async () => {
+            const { client } = createClient([], { transport, results_per_page: 40 });
+            const movie = client.getMovie(550);
+
+            assert.deepStrictEqual(await count(movie.iterate('getSimilar')), {
+                items: 10000,
+                lastId: 10000,
+            });
+        });
+
+        it('iterates function getters up to the page limit of their wrapper options', async () => {
+            const { client } = createClient([], { transport });
+            const movie = client.getMovie(550);
+            const getter = (options) => movie.getSimilar(options, { results_per_page: 5 });
+
+            assert.deepStrictEqual(await count(movie.iterate(getter)), {
+                items: 10000,
+                lastId: 10000,
+            });
+        });
+
+        it('stops after the maximum number of pages and items', async () => {
+            const { client } = createClient([], { transport, results_per_page: 10 });
+            const movie = client.getMovie(550);
+
+            assert.deepStrictEqual(
+                await count(movie.iterate('getSimilar', { page: 3 }, { max_pages: 2 })),
+                { items: 20, lastId: 40 }
+            );
+
+            assert.deepStrictEqual(
+                await count(movie.iterate('getSimilar', {}, { max_items: 15 })),
+                { items: 15, lastId: 15 }
+            );
+        });
+    });
+});
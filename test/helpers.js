@@ -0,0 +1,63 @@
+import { V3, MockTransport } from '../src';
+
+/**
+ * Creates the fixtures of an endpoint with results. Results have an "id" equal to their position
+ * (starting at 1). Pages after the last page have no results.
+ *
+ * @param {string} path Request path with API version
+ * @param {number} totalResults Number of results
+ * @param {Object} [options] Fixture options
+ * @param {number} [options.pages] Number of pages with fixtures (including empty pages)
+ * @param {Object} [options.params] Request params of the fixtures
+ * @returns {Array<Object>}
+ */
+export const createResultsFixtures = (path, totalResults, { pages = 15, params = {} } = {}) =>
+    Array.from({ length: pages }, (_, i) => {
+        const page = i + 1;
+        const first = i * 20 + 1;
+        const last = Math.min(totalResults, page * 20);
+
+        return {
+            path,
+            params: { ...params, page },
+            data: {
+                page,
+                results: Array.from({ length: Math.max(0, last - first + 1) }, (__, j) => ({
+                    id: first + j,
+                })),
+                total_pages: Math.ceil(totalResults / 20),
+                total_results: totalResults,
+            },
+        };
+    });
+
+/**
+ * Creates a client replaying fixtures without a cache and rate limit.
+ *
+ * @param {Array<Object>} fixtures Fixtures
+ * @param {Object} [wrapperOptions] Wrapper options
+ * @returns {Object} Client and transport
+ */
+export const createClient = (fixtures, wrapperOptions) => {
+    const transport = new MockTransport(fixtures);
+    const client = new V3(
+        { api_key: 'key' },
+        {
+            transport,
+            cache: null,
+            rate_limit: null,
+            ...wrapperOptions,
+        }
+    );
+
+    return { client, transport };
+};
+
+/**
+ * Gets the request pages sent to a transport.
+ *
+ * @param {MockTransport} transport Transport
+ * @returns {Array<number>}
+ */
+export const getRequestedPages = (transport) =>
+    transport.requests.map(({ params }) => params.page).sort((a, b) => a - b);